@@ -25,6 +25,7 @@ const part1 = require('./part1-http-execution');
 const part2 = require('./part2-browser-execution');
 const part3 = require('./part3-mcp-execution');
 const part4 = require('./part4-resilience');
+const shared = require('./shared');
 
 /**
  * Run all workshop demos sequentially
@@ -72,6 +73,9 @@ module.exports = {
   // Part 4: Resilience
   ...part4,
 
+  // Shared utilities
+  ...shared,
+
   // Demo runners
   runPart1Demo: part1.runDemo,
   runPart2Demo: part2.runDemo,
@@ -0,0 +1,367 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: ANALYZER EVALUATION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs EnvironmentAnalyzer offline over a directory of labeled fixtures and
+ * measures how often it is right, so signature changes can be gated on
+ * numbers instead of intuition.
+ *
+ * FIXTURES:
+ * {dir}/{name}.json → { url, status, headers, labels }
+ * {dir}/{name}.html → Response body
+ *
+ * labels: { requiresJavaScript, hasAntiBot, hasDynamicContent, level, softBlock }
+ * where level is the execution level a human verified works cheapest and
+ * softBlock (optional) is the wall the page is ('paywall', ...) or null.
+ *
+ * REPORT:
+ * - categories:  Precision / recall / F1 per signal
+ * - softBlocks:  How many labeled pages got the right soft-block verdict
+ * - confusion:   Expected level × recommended level counts
+ * - calibration: Accuracy per confidence bucket, expected calibration error
+ *                (ECE) and Brier score - does 80% confidence mean 80% right?
+ *
+ * Run from the command line; exits non-zero when a gate fails:
+ *   node src/part1-http-execution/analyzer-evaluation.js fixtures/analyzer --gates gates.json
+ *
+ * `npm run eval:analyzer` scores the tuning set (fixtures/analyzer) and the
+ * held-out set (fixtures/analyzer-holdout), which signatures are never tuned
+ * against, each with its own gates.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATEGORIES = ['requiresJavaScript', 'hasAntiBot', 'hasDynamicContent'];
+const LEVELS = ['http', 'http-embedded', 'browser-light', 'browser-advanced'];
+
+/**
+ * Scores an analyzer against labeled fixtures
+ *
+ * @example
+ * const evaluator = new AnalyzerEvaluator({
+ *   analyzer: new EnvironmentAnalyzer({ signatures: './candidate-signatures.json' }),
+ *   gates: { minPrecision: { hasAntiBot: 0.9 }, minLevelAccuracy: 0.8, maxCalibrationError: 0.2 }
+ * });
+ *
+ * const report = evaluator.evaluate(loadAnalyzerFixtures('fixtures/analyzer'));
+ * console.log(formatEvaluationReport(report));
+ * if (!report.passed) process.exit(1);
+ */
+class AnalyzerEvaluator {
+  constructor(config = {}) {
+    if (!config.analyzer) {
+      throw new Error('AnalyzerEvaluator requires an analyzer');
+    }
+
+    this.analyzer = config.analyzer;
+    this.config = {
+      // Number of equal-width confidence buckets for calibration
+      calibrationBins: config.calibrationBins || 5,
+      // { minPrecision: { [category]: n }, minRecall: {...}, minLevelAccuracy, maxCalibrationError,
+      //   minSoftBlockAccuracy }
+      gates: config.gates || {}
+    };
+  }
+
+  /**
+   * Analyze every fixture and compute the report
+   *
+   * @param {Array<Object>} fixtures - From loadAnalyzerFixtures()
+   */
+  evaluate(fixtures) {
+    if (fixtures.length === 0) {
+      throw new Error('No fixtures to evaluate');
+    }
+
+    const cases = fixtures.map(fixture => {
+      const analysis = this.analyzer.analyzeResponse({
+        url: fixture.url,
+        status: fixture.status,
+        headers: fixture.headers,
+        html: fixture.html
+      });
+      return {
+        name: fixture.name,
+        labels: fixture.labels,
+        signals: analysis.signals,
+        expectedLevel: fixture.labels.level,
+        recommendedLevel: analysis.recommendedExecution,
+        confidence: analysis.confidence,
+        correct: analysis.recommendedExecution === fixture.labels.level,
+        matches: analysis.matches.map(m => m.id)
+      };
+    });
+    const softBlockCases = cases.filter(c => c.labels.softBlock !== undefined);
+
+    const levelCases = cases.filter(c => c.expectedLevel);
+    const report = {
+      fixtures: cases.length,
+      evaluatedAt: new Date(),
+      categories: this.scoreCategories(cases),
+      softBlocks: {
+        labeled: softBlockCases.length,
+        correct: softBlockCases.filter(c => !isSoftBlockWrong(c)).length,
+        accuracy: softBlockCases.length > 0
+          ? softBlockCases.filter(c => !isSoftBlockWrong(c)).length / softBlockCases.length
+          : null
+      },
+      levelAccuracy: levelCases.length > 0
+        ? levelCases.filter(c => c.correct).length / levelCases.length
+        : null,
+      confusion: this.buildConfusionMatrix(levelCases),
+      calibration: this.calibrate(levelCases),
+      mistakes: cases.filter(c => !c.correct || isSoftBlockWrong(c) || CATEGORIES.some(cat =>
+        typeof c.labels[cat] === 'boolean' && c.labels[cat] !== c.signals[cat]
+      ))
+    };
+
+    report.gateFailures = this.checkGates(report);
+    report.passed = report.gateFailures.length === 0;
+    return report;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  scoreCategories(cases) {
+    const categories = {};
+
+    for (const category of CATEGORIES) {
+      const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+      for (const c of cases) {
+        const expected = c.labels[category];
+        if (typeof expected !== 'boolean') continue; // unlabeled for this category
+
+        const predicted = !!c.signals[category];
+        if (predicted && expected) counts.tp++;
+        else if (predicted) counts.fp++;
+        else if (expected) counts.fn++;
+        else counts.tn++;
+      }
+
+      const precision = counts.tp + counts.fp > 0 ? counts.tp / (counts.tp + counts.fp) : null;
+      const recall = counts.tp + counts.fn > 0 ? counts.tp / (counts.tp + counts.fn) : null;
+      const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : null;
+
+      categories[category] = { ...counts, precision, recall, f1 };
+    }
+
+    return categories;
+  }
+
+  buildConfusionMatrix(cases) {
+    const levels = [...LEVELS];
+    for (const c of cases) {
+      for (const level of [c.expectedLevel, c.recommendedLevel]) {
+        if (!levels.includes(level)) levels.push(level);
+      }
+    }
+
+    // matrix[expected][recommended] = count
+    const matrix = {};
+    for (const expected of levels) {
+      matrix[expected] = Object.fromEntries(levels.map(level => [level, 0]));
+    }
+    for (const c of cases) {
+      matrix[c.expectedLevel][c.recommendedLevel]++;
+    }
+
+    return { levels, matrix };
+  }
+
+  calibrate(cases) {
+    const bins = Array.from({ length: this.config.calibrationBins }, (_, i) => ({
+      from: i / this.config.calibrationBins,
+      to: (i + 1) / this.config.calibrationBins,
+      count: 0,
+      meanConfidence: 0,
+      accuracy: 0
+    }));
+
+    let brier = 0;
+    for (const c of cases) {
+      const index = Math.min(Math.floor(c.confidence * bins.length), bins.length - 1);
+      const bin = bins[index];
+      bin.count++;
+      bin.meanConfidence += c.confidence;
+      bin.accuracy += c.correct ? 1 : 0;
+      brier += Math.pow(c.confidence - (c.correct ? 1 : 0), 2);
+    }
+
+    let expectedCalibrationError = 0;
+    for (const bin of bins) {
+      if (bin.count === 0) continue;
+      bin.meanConfidence /= bin.count;
+      bin.accuracy /= bin.count;
+      expectedCalibrationError += (bin.count / cases.length) * Math.abs(bin.accuracy - bin.meanConfidence);
+    }
+
+    return {
+      bins,
+      expectedCalibrationError: cases.length > 0 ? expectedCalibrationError : null,
+      brierScore: cases.length > 0 ? brier / cases.length : null
+    };
+  }
+
+  checkGates(report) {
+    const { minPrecision = {}, minRecall = {}, minLevelAccuracy, maxCalibrationError, minSoftBlockAccuracy } = this.config.gates;
+    const failures = [];
+
+    for (const [category, min] of Object.entries(minPrecision)) {
+      const actual = report.categories[category]?.precision;
+      if (actual === null || actual === undefined || actual < min) {
+        failures.push(`${category} precision ${formatRatio(actual)} < ${formatRatio(min)}`);
+      }
+    }
+    for (const [category, min] of Object.entries(minRecall)) {
+      const actual = report.categories[category]?.recall;
+      if (actual === null || actual === undefined || actual < min) {
+        failures.push(`${category} recall ${formatRatio(actual)} < ${formatRatio(min)}`);
+      }
+    }
+    if (minLevelAccuracy !== undefined && !(report.levelAccuracy >= minLevelAccuracy)) {
+      failures.push(`level accuracy ${formatRatio(report.levelAccuracy)} < ${formatRatio(minLevelAccuracy)}`);
+    }
+    if (maxCalibrationError !== undefined &&
+        !(report.calibration.expectedCalibrationError <= maxCalibrationError)) {
+      failures.push(`calibration error ${formatRatio(report.calibration.expectedCalibrationError)} > ${formatRatio(maxCalibrationError)}`);
+    }
+    if (minSoftBlockAccuracy !== undefined && !(report.softBlocks.accuracy >= minSoftBlockAccuracy)) {
+      failures.push(`soft-block accuracy ${formatRatio(report.softBlocks.accuracy)} < ${formatRatio(minSoftBlockAccuracy)}`);
+    }
+
+    return failures;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES AND REPORTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read every {name}.json + {name}.html pair in a directory
+ */
+function loadAnalyzerFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const name = path.basename(file, '.json');
+      const meta = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const htmlFile = path.join(dir, `${name}.html`);
+      if (!meta.labels) {
+        throw new Error(`Fixture ${name} has no labels`);
+      }
+
+      return {
+        name,
+        url: meta.url || `https://${name}.example/`,
+        status: meta.status || 200,
+        headers: meta.headers || {},
+        html: fs.existsSync(htmlFile) ? fs.readFileSync(htmlFile, 'utf8') : '',
+        labels: meta.labels
+      };
+    });
+}
+
+/**
+ * Plain-text rendering of a report for the terminal or a CI log
+ */
+function formatEvaluationReport(report) {
+  const lines = [];
+  const pad = (value, width) => String(value).padEnd(width);
+
+  lines.push(`Analyzer evaluation: ${report.fixtures} fixtures`);
+  lines.push('');
+  lines.push(`${pad('Category', 20)}${pad('Precision', 11)}${pad('Recall', 9)}${pad('F1', 7)}TP/FP/FN/TN`);
+  for (const [category, s] of Object.entries(report.categories)) {
+    lines.push(
+      `${pad(category, 20)}${pad(formatRatio(s.precision), 11)}${pad(formatRatio(s.recall), 9)}` +
+      `${pad(formatRatio(s.f1), 7)}${s.tp}/${s.fp}/${s.fn}/${s.tn}`
+    );
+  }
+
+  if (report.softBlocks.labeled > 0) {
+    lines.push('');
+    lines.push(`Soft blocks: ${report.softBlocks.correct}/${report.softBlocks.labeled} correct (${formatRatio(report.softBlocks.accuracy)})`);
+  }
+
+  const { levels, matrix } = report.confusion;
+  lines.push('');
+  lines.push(`Level accuracy: ${formatRatio(report.levelAccuracy)}  (rows: expected, columns: recommended)`);
+  lines.push(pad('', 18) + levels.map(level => pad(level, 18)).join(''));
+  for (const expected of levels) {
+    lines.push(pad(expected, 18) + levels.map(level => pad(matrix[expected][level], 18)).join(''));
+  }
+
+  const { bins, expectedCalibrationError, brierScore } = report.calibration;
+  lines.push('');
+  lines.push(`Calibration: ECE ${formatRatio(expectedCalibrationError)}, Brier ${formatRatio(brierScore)}`);
+  for (const bin of bins) {
+    if (bin.count === 0) continue;
+    lines.push(
+      `  confidence ${bin.from.toFixed(1)}-${bin.to.toFixed(1)}: ${bin.count} fixtures, ` +
+      `mean ${formatRatio(bin.meanConfidence)}, accuracy ${formatRatio(bin.accuracy)}`
+    );
+  }
+
+  if (report.mistakes.length > 0) {
+    lines.push('');
+    lines.push('Mistakes:');
+    for (const c of report.mistakes) {
+      const wrong = CATEGORIES.filter(cat => typeof c.labels[cat] === 'boolean' && c.labels[cat] !== c.signals[cat]);
+      if (isSoftBlockWrong(c)) wrong.push(`softBlock (${c.signals.softBlock || 'none'})`);
+      lines.push(
+        `  ${c.name}: expected ${c.expectedLevel}, got ${c.recommendedLevel}` +
+        (wrong.length > 0 ? `; wrong ${wrong.join(', ')}` : '') +
+        ` [${c.matches.join(', ') || 'no matches'}]`
+      );
+    }
+  }
+
+  lines.push('');
+  lines.push(report.passed ? 'Gates: passed' : `Gates: FAILED\n  ${report.gateFailures.join('\n  ')}`);
+  return lines.join('\n');
+}
+
+// An unlabeled page is never wrong; null means "not a wall"
+function isSoftBlockWrong(c) {
+  return c.labels.softBlock !== undefined && (c.labels.softBlock || null) !== (c.signals.softBlock || null);
+}
+
+function formatRatio(value) {
+  return value === null || value === undefined ? 'n/a' : value.toFixed(2);
+}
+
+module.exports = {
+  AnalyzerEvaluator,
+  loadAnalyzerFixtures,
+  formatEvaluationReport
+};
+
+// Run from the command line
+if (require.main === module) {
+  const { EnvironmentAnalyzer } = require('./index');
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const dir = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--')) ||
+    path.join(__dirname, '..', '..', 'fixtures', 'analyzer');
+  const gatesFile = option('--gates');
+  const signatures = option('--signatures');
+
+  const evaluator = new AnalyzerEvaluator({
+    analyzer: new EnvironmentAnalyzer({ signatures }),
+    gates: gatesFile ? JSON.parse(fs.readFileSync(gatesFile, 'utf8')) : {}
+  });
+  const report = evaluator.evaluate(loadAnalyzerFixtures(dir));
+  console.log(`Fixtures: ${dir}`);
+  console.log(formatEvaluationReport(report));
+  process.exitCode = report.passed ? 0 : 1;
+}
@@ -0,0 +1,90 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: CHARSET DETECTION AND DECODING
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Many Japanese and Eastern European sites still serve Shift_JIS, EUC-JP or
+ * windows-1251. Decoding those bytes as UTF-8 produces mojibake that breaks
+ * language detection and price regexes downstream.
+ *
+ * DETECTION ORDER (as browsers do it):
+ * 1. Byte order mark (UTF-8, UTF-16LE, UTF-16BE)
+ * 2. Content-Type header `charset=` parameter
+ * 3. `<meta charset>` / `<meta http-equiv="Content-Type">` / `<?xml encoding>`
+ *    in the first 2 KB of the document
+ * 4. UTF-8
+ *
+ * Decoding uses the WHATWG TextDecoder built into Node, so every encoding label
+ * browsers accept (including aliases like `sjis` or `cp1251`) works.
+ */
+
+const PRESCAN_BYTES = 2048;
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+/**
+ * Detect the character encoding of a response body
+ *
+ * @param {Buffer} bytes - Raw body
+ * @param {string} contentType - Content-Type header value
+ * @returns {{ encoding: string, source: string }} Normalized encoding name and
+ *   where it came from: 'bom', 'header', 'meta' or 'default'
+ */
+function detectCharset(bytes, contentType) {
+  for (const bom of BOMS) {
+    if (bom.bytes.every((b, i) => bytes[i] === b)) {
+      return { encoding: bom.encoding, source: 'bom', bomLength: bom.bytes.length };
+    }
+  }
+
+  const fromHeader = normalizeEncoding(matchCharset(contentType));
+  if (fromHeader) return { encoding: fromHeader, source: 'header' };
+
+  // Meta tags are ASCII, so a latin1 view of the first bytes is safe to scan
+  const head = bytes.subarray(0, PRESCAN_BYTES).toString('latin1');
+  const fromMeta = normalizeEncoding(
+    (head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i) || [])[1] ||
+    (head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i) || [])[1]
+  );
+  if (fromMeta) return { encoding: fromMeta, source: 'meta' };
+
+  return { encoding: 'utf-8', source: 'default' };
+}
+
+/**
+ * Decode a response body to text using its detected charset
+ *
+ * @returns {{ text: string, encoding: string, source: string }}
+ */
+function decodeBody(bytes, contentType) {
+  const { encoding, source, bomLength = 0 } = detectCharset(bytes, contentType);
+  const text = new TextDecoder(encoding).decode(bytes.subarray(bomLength));
+  return { text, encoding, source };
+}
+
+function matchCharset(contentType) {
+  if (!contentType) return null;
+  const match = String(contentType).match(/charset\s*=\s*["']?([^"';\s]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Map an encoding label to its canonical name, or null if unsupported
+ */
+function normalizeEncoding(label) {
+  if (!label) return null;
+  try {
+    return new TextDecoder(label.trim()).encoding;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  detectCharset,
+  decodeBody
+};
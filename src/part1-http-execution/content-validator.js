@@ -0,0 +1,337 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: CONTENT VALIDATION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * A fetch can "succeed" and still miss the data: a 200 with an empty product
+ * grid, a shell the client fills in later, a variant of the page without
+ * prices. Executors only see generic signals; the job knows what a good page
+ * looks like. A validator says so, and EscalationHandler escalates when a
+ * result fails it.
+ *
+ * RULES (all optional, all must pass):
+ * - requiredSelectors: Elements the page must contain
+ * - schema:            JSON Schema the extracted data must satisfy
+ * - minItems:          { selector, min } elements, or { path, min } entries
+ *                      in the extracted data
+ * - predicate:         (result) => true | false | 'reason', may be async
+ *
+ * Selectors are matched against start tags without building a DOM: tag,
+ * #id, .class, [attr] and [attr="value"] compounds and comma lists. In a
+ * descendant selector such as 'ul.results li', only the last part is checked.
+ *
+ * The schema check covers the commonly used JSON Schema keywords: type,
+ * properties, required, items, enum, const, minItems, maxItems, minLength,
+ * maxLength, pattern, minimum and maximum.
+ *
+ * Selectors and schema are checked when the validator is built, so a rule it
+ * cannot apply fails the job's setup rather than every fetch. An error thrown
+ * while validating (a predicate or extract that throws) is raised as a
+ * ValidatorError: the job is broken, not the host.
+ */
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+// Checked by validateSchema, or annotations it can ignore
+const SCHEMA_KEYWORDS = [
+  'type', 'properties', 'required', 'items', 'enum', 'const', 'minItems', 'maxItems',
+  'minLength', 'maxLength', 'pattern', 'minimum', 'maximum',
+  '$schema', '$id', 'title', 'description', 'default', 'examples'
+];
+
+/**
+ * Raised when validating fails, as opposed to the result failing validation
+ */
+class ValidatorError extends Error {
+  constructor(error) {
+    super(`Validator error: ${error.message}`);
+    this.name = 'ValidatorError';
+    this.code = 'ERR_VALIDATOR';
+    this.cause = error;
+  }
+}
+
+/**
+ * Checks a result against what the job expects
+ *
+ * @example
+ * const validator = new ContentValidator({
+ *   requiredSelectors: ['.product-title', '.price'],
+ *   minItems: { selector: '.review', min: 3 },
+ *   schema: { type: 'object', required: ['price'], properties: { price: { type: 'number' } } },
+ *   predicate: (result) => !/out of stock/i.test(result.body) || 'Out-of-stock placeholder'
+ * });
+ *
+ * const result = await escalation.executeWithEscalation(url, executors, { validator });
+ * console.log(result.validation); // { valid: true, failures: [] }
+ */
+class ContentValidator {
+  /**
+   * @throws {Error} On a selector or schema the validator cannot apply
+   */
+  constructor(config = {}) {
+    this.config = {
+      requiredSelectors: [].concat(config.requiredSelectors || []),
+      schema: config.schema || null,
+      minItems: config.minItems || null,
+      predicate: config.predicate || null,
+      // Where the structured data of a result lives
+      extract: config.extract || defaultExtract
+    };
+
+    this.selectors = new Map();
+    for (const selector of this.config.requiredSelectors) {
+      this.selectors.set(selector, parseSelector(selector));
+    }
+    if (this.config.minItems?.selector) {
+      this.selectors.set(this.config.minItems.selector, parseSelector(this.config.minItems.selector));
+    }
+    if (this.config.schema) {
+      checkSchema(this.config.schema);
+    }
+  }
+
+  /**
+   * Validate a result
+   *
+   * @param {Object} result - An executor result
+   * @returns {Promise<Object>} { valid, reason, failures: [{ rule, reason }] }
+   * @throws {ValidatorError} When a predicate or extract throws
+   */
+  async validate(result) {
+    try {
+      return await this.check(result);
+    } catch (error) {
+      throw error instanceof ValidatorError ? error : new ValidatorError(error);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async check(result) {
+    const failures = [];
+    const html = getHtml(result);
+    const data = this.config.extract(result);
+
+    for (const selector of this.config.requiredSelectors) {
+      if (countMatches(html, this.selectors.get(selector)) === 0) {
+        failures.push({ rule: 'requiredSelectors', reason: `Missing ${selector}` });
+      }
+    }
+
+    if (this.config.schema) {
+      const errors = validateSchema(data, this.config.schema);
+      if (errors.length > 0) {
+        failures.push({ rule: 'schema', reason: `Schema: ${errors.slice(0, 3).join('; ')}` });
+      }
+    }
+
+    if (this.config.minItems) {
+      const { selector, path, min } = this.config.minItems;
+      const count = selector ? countMatches(html, this.selectors.get(selector)) : countAtPath(data, path);
+      if (count < min) {
+        failures.push({ rule: 'minItems', reason: `${count} of ${min} required ${selector || path || 'items'}` });
+      }
+    }
+
+    if (this.config.predicate) {
+      const outcome = await this.config.predicate(result);
+      if (outcome !== true && outcome !== undefined) {
+        failures.push({ rule: 'predicate', reason: typeof outcome === 'string' ? outcome : 'Predicate rejected the result' });
+      }
+    }
+
+    return {
+      valid: failures.length === 0,
+      reason: failures.map(f => f.reason).join('; ') || null,
+      failures
+    };
+  }
+}
+
+/**
+ * Accept a ContentValidator, its config object, or a bare predicate
+ */
+function resolveContentValidator(validator) {
+  if (!validator) return null;
+  if (validator instanceof ContentValidator) return validator;
+  if (typeof validator === 'function') return new ContentValidator({ predicate: validator });
+  return new ContentValidator(validator);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function defaultExtract(result) {
+  return result.extractedData ?? result.json ?? result.data ?? null;
+}
+
+// HttpExecutor results carry `body`, BrowserExecutor results `html`
+function getHtml(result) {
+  const html = result.html ?? result.body;
+  return typeof html === 'string' ? html : '';
+}
+
+/**
+ * A selector's comma-separated alternatives, each reduced to its last compound
+ */
+function parseSelector(selector) {
+  return selector.split(',').map(s => parseCompound(s.trim().split(/\s+/).pop()));
+}
+
+/**
+ * Number of start tags in the HTML matching any of a selector's alternatives
+ */
+function countMatches(html, alternatives) {
+  let count = 0;
+  for (const match of html.matchAll(/<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g)) {
+    const element = parseElement(match[1], match[2]);
+    if (alternatives.some(compound => matchesCompound(element, compound))) count++;
+  }
+  return count;
+}
+
+function parseCompound(selector) {
+  const compound = { tag: null, id: null, classes: [], attributes: [] };
+  const tokens = /^([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*["']?([^"'\]]*)["']?\s*)?\]/g;
+  let consumed = 0;
+  for (const token of selector.matchAll(tokens)) {
+    if (token.index !== consumed) break;
+    consumed += token[0].length;
+    if (token[1] && token[1] !== '*') compound.tag = token[1].toLowerCase();
+    if (token[2]) compound.id = token[2];
+    if (token[3]) compound.classes.push(token[3]);
+    if (token[4]) compound.attributes.push({ name: token[4].toLowerCase(), value: token[5] });
+  }
+  if (consumed !== selector.length || consumed === 0) {
+    throw new Error(`Unsupported selector: ${selector}`);
+  }
+  return compound;
+}
+
+function parseElement(tag, attributeText) {
+  const attributes = {};
+  for (const attr of attributeText.matchAll(/([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attributes[attr[1].toLowerCase()] = attr[2] ?? attr[3] ?? attr[4] ?? '';
+  }
+  return {
+    tag: tag.toLowerCase(),
+    attributes,
+    classes: (attributes.class || '').split(/\s+/).filter(Boolean)
+  };
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tag !== compound.tag) return false;
+  if (compound.id && element.attributes.id !== compound.id) return false;
+  if (compound.classes.some(c => !element.classes.includes(c))) return false;
+  return compound.attributes.every(({ name, value }) =>
+    name in element.attributes && (value === undefined || element.attributes[name] === value)
+  );
+}
+
+// Length of the array (or size of the object) at a dotted path
+function countAtPath(data, path) {
+  const value = path ? path.split('.').reduce((node, key) => node?.[key], data) : data;
+  if (Array.isArray(value)) return value.length;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return 0;
+}
+
+/**
+ * Errors for a value against a JSON Schema subset, as "path: problem"
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const ok = allowed.some(t => t === type || (t === 'number' && type === 'integer'));
+    if (!ok) return [`${path}: expected ${allowed.join(' or ')}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing ${key}`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw on a schema validateSchema cannot apply
+ */
+function checkSchema(schema, path = '$') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Schema ${path}: must be an object`);
+  }
+  for (const keyword of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.includes(keyword)) {
+      throw new Error(`Schema ${path}: unsupported keyword "${keyword}"`);
+    }
+  }
+  for (const type of [].concat(schema.type || [])) {
+    if (!SCHEMA_TYPES.includes(type)) throw new Error(`Schema ${path}: unknown type "${type}"`);
+  }
+  if (schema.required !== undefined && !Array.isArray(schema.required)) {
+    throw new Error(`Schema ${path}: "required" must be an array`);
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw new Error(`Schema ${path}: "enum" must be an array`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      throw new Error(`Schema ${path}: invalid pattern (${error.message})`);
+    }
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    checkSchema(propertySchema, `${path}.${key}`);
+  }
+  if (schema.items) checkSchema(schema.items, `${path}[]`);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+module.exports = {
+  ContentValidator,
+  ValidatorError,
+  resolveContentValidator,
+  validateSchema
+};
@@ -0,0 +1,409 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: COST ESTIMATION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * What will a 10k-URL job cost? Protection is a property of the domain, not
+ * the URL, so the estimator looks at a sample of domains and extrapolates:
+ *
+ * 1. SAMPLE: The largest domains in the batch (up to `maxDomains`) are
+ *    checked - from domain history when a DomainProfileStore knows them,
+ *    otherwise through EnvironmentAnalyzer.
+ *
+ * 2. NEEDED LEVEL: Each sampled domain gets a probability for each level
+ *    being the cheapest one that works. History uses the decayed success
+ *    counts per level; an analysis trusts its recommendation as far as its
+ *    confidence goes. Unsampled domains share the pooled distribution.
+ *
+ * 3. ESCALATION: Executions start where EscalationHandler would start them
+ *    (options.startLevel, domain history, or 'http') and pay for every level
+ *    tried on the way up to the one that works.
+ *
+ * 4. RANGE: Needed levels are drawn per domain over many trials; the range is
+ *    the central `confidence` interval of the totals, with the mean as the
+ *    expected cost.
+ *
+ * Retries within a level and cache hits are not modeled.
+ */
+
+const { resolvePricing, resolveDomainProfiles } = require('../shared');
+
+const DEFAULT_LEVELS = ['http', 'browser-light', 'browser-advanced'];
+
+/**
+ * Predicts level mix and cost for a batch of URLs
+ *
+ * @example
+ * const estimator = new CostEstimator({
+ *   analyzer: new EnvironmentAnalyzer({ profiles }),
+ *   escalation: new EscalationHandler({ profiles })
+ * });
+ *
+ * const estimate = await estimator.estimate(urls, { geos: ['us', 'uk'] });
+ * console.log(formatCostEstimate(estimate));
+ * // Expected $48.20 (80% range $31.75-$66.10)
+ */
+class CostEstimator {
+  constructor(config = {}) {
+    if (!config.analyzer) {
+      throw new Error('CostEstimator requires an analyzer');
+    }
+
+    this.analyzer = config.analyzer;
+    this.escalation = config.escalation || null;
+    this.profiles = resolveDomainProfiles(config.profiles) || this.analyzer.profiles || null;
+    this.pricing = resolvePricing(config.pricing);
+
+    this.config = {
+      levels: this.escalation?.config.levels || config.levels || DEFAULT_LEVELS,
+      autoEscalate: this.escalation ? this.escalation.config.autoEscalate : config.autoEscalate !== false,
+      // Domains checked before extrapolating to the rest
+      maxDomains: config.maxDomains || 50,
+      // URLs analyzed per sampled domain
+      samplesPerDomain: config.samplesPerDomain || 1,
+      // Analyses run at once
+      concurrency: config.concurrency || 4,
+      // Chance a level at or above the one a page needs gets through
+      levelSuccess: config.levelSuccess || 0.95,
+      // Typical page size, for bandwidth pricing (bytes)
+      pageBytes: config.pageBytes ?? 100 * 1024,
+      // Width of the reported cost range
+      confidence: config.confidence || 0.8,
+      trials: config.trials || 2000,
+      seed: config.seed ?? 1
+    };
+  }
+
+  /**
+   * Estimate a batch
+   *
+   * @param {Array<string>} urls - URLs the job will fetch
+   * @param {Object} options - { geos, startLevel, zone }; every URL is fetched once per geo
+   * @returns {Promise<Object>} { cost, levels, escalations, sample, domains, ... }
+   */
+  async estimate(urls, options = {}) {
+    const geos = options.geos?.length ? options.geos : [undefined];
+    const domains = this.groupByDomain(urls);
+    const sampled = domains.slice(0, this.config.maxDomains);
+
+    await this.runPooled(sampled, async (domain) => {
+      Object.assign(domain, await this.sampleDomain(domain));
+    });
+
+    // Domains beyond the sample share the URL-weighted average
+    const pooled = this.poolDistributions(sampled);
+    for (const domain of domains.slice(this.config.maxDomains)) {
+      Object.assign(domain, { source: 'extrapolated', needed: pooled, startLevel: options.startLevel || 'http' });
+    }
+
+    for (const domain of domains) {
+      if (options.startLevel) domain.startLevel = options.startLevel;
+      domain.paths = this.getPaths(domain, geos, options.zone);
+      domain.expectedCost = domain.paths.reduce((sum, p) => sum + p.probability * p.cost, 0) * domain.urls.length;
+    }
+
+    return this.summarize(urls, geos, domains, sampled, options);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  groupByDomain(urls) {
+    const byDomain = new Map();
+    for (const url of urls) {
+      const domain = getDomain(url);
+      if (!byDomain.has(domain)) byDomain.set(domain, { domain, urls: [] });
+      byDomain.get(domain).urls.push(url);
+    }
+    // Largest domains first: they dominate the total
+    return [...byDomain.values()].sort((a, b) => b.urls.length - a.urls.length);
+  }
+
+  /**
+   * Needed-level distribution and start level for one domain
+   */
+  async sampleDomain(domain) {
+    const url = domain.urls[0];
+    const startProfiles = this.escalation ? this.escalation.profiles : this.profiles;
+    const start = startProfiles ? await startProfiles.getStartLevel(url, this.config.levels) : null;
+    const startLevel = start?.level || 'http';
+
+    const profile = this.profiles ? await this.profiles.getProfile(url) : null;
+    if (profile && Object.keys(profile.levels).length > 0) {
+      return {
+        source: 'history',
+        startLevel,
+        needed: this.fromSuccessRates(this.config.levels.map(level => {
+          const stats = profile.levels[level];
+          // Laplace-smoothed; a level never tried falls back to the default
+          return stats
+            ? (stats.successes + 1) / (stats.successes + stats.failures + 2)
+            : this.config.levelSuccess;
+        }))
+      };
+    }
+
+    const samples = domain.urls.slice(0, this.config.samplesPerDomain);
+    const distributions = [];
+    let failed = false;
+    for (const sample of samples) {
+      const analysis = await this.analyzer.analyze(sample);
+      if (analysis.error) failed = true;
+      distributions.push(this.fromAnalysis(analysis));
+    }
+
+    return {
+      source: failed ? 'analysis-failed' : 'analysis',
+      startLevel,
+      needed: averageDistributions(distributions.map(d => ({ weight: 1, distribution: d })))
+    };
+  }
+
+  /**
+   * Levels below the recommendation work only as often as the analyzer is wrong
+   */
+  fromAnalysis(analysis) {
+    const recommended = (analysis.recommendedExecution || 'http').replace(/^http-embedded$/, 'http');
+    const index = Math.max(0, this.config.levels.indexOf(recommended));
+    const confidence = analysis.confidence ?? 0.5;
+
+    return this.fromSuccessRates(this.config.levels.map((level, i) =>
+      i < index ? 1 - confidence : this.config.levelSuccess
+    ));
+  }
+
+  /**
+   * P(cheapest working level = l) from each level's chance of getting through;
+   * whatever is left is the chance that no level works
+   */
+  fromSuccessRates(rates) {
+    const distribution = {};
+    let remaining = 1;
+    this.config.levels.forEach((level, i) => {
+      distribution[level] = remaining * rates[i];
+      remaining *= 1 - rates[i];
+    });
+    distribution.unresolved = remaining;
+    return distribution;
+  }
+
+  poolDistributions(sampled) {
+    if (sampled.length === 0) return this.fromSuccessRates(this.config.levels.map(() => this.config.levelSuccess));
+    return averageDistributions(sampled.map(d => ({ weight: d.urls.length, distribution: d.needed })));
+  }
+
+  /**
+   * Every way execution can go for a URL of the domain, with its probability
+   * and per-URL cost across the geos
+   */
+  getPaths(domain, geos, zone) {
+    const { levels, autoEscalate } = this.config;
+    const start = Math.max(0, levels.indexOf(domain.startLevel));
+
+    return Object.entries(domain.needed)
+      .filter(([, probability]) => probability > 0)
+      .map(([needed, probability]) => {
+        const neededIndex = needed === 'unresolved' ? levels.length : levels.indexOf(needed);
+        const last = autoEscalate ? Math.min(Math.max(start, neededIndex), levels.length - 1) : start;
+        const tried = levels.slice(start, last + 1);
+        const resolved = neededIndex <= last;
+
+        const cost = geos.reduce((sum, geo) =>
+          sum + tried.reduce((levelSum, level) => levelSum + this.priceRequest(level, geo, zone), 0), 0);
+
+        return {
+          needed,
+          probability,
+          finalLevel: resolved ? levels[last] : 'unresolved',
+          escalations: tried.length - 1,
+          cost
+        };
+      });
+  }
+
+  priceRequest(level, geo, zone) {
+    return this.pricing.price(level, { geo, zone, bytes: this.config.pageBytes }).totalCost;
+  }
+
+  summarize(urls, geos, domains, sampled, options) {
+    const requests = urls.length * geos.length;
+    const levels = {};
+    for (const level of [...this.config.levels, 'unresolved']) {
+      levels[level] = { requests: 0, share: 0 };
+    }
+
+    let expected = 0;
+    let escalations = 0;
+    for (const domain of domains) {
+      const count = domain.urls.length * geos.length;
+      expected += domain.expectedCost;
+      for (const path of domain.paths) {
+        levels[path.finalLevel].requests += path.probability * count;
+        escalations += path.probability * path.escalations * count;
+      }
+    }
+    for (const level of Object.values(levels)) {
+      level.share = requests > 0 ? level.requests / requests : 0;
+    }
+
+    const totals = this.simulate(domains);
+    const tail = (1 - this.config.confidence) / 2;
+    const version = this.pricing.getVersion();
+
+    const sampledUrls = sampled.reduce((sum, d) => sum + d.urls.length, 0);
+    const bySource = {};
+    for (const domain of sampled) {
+      bySource[domain.source] = (bySource[domain.source] || 0) + 1;
+    }
+
+    return {
+      urls: urls.length,
+      geos: geos.filter(Boolean),
+      requests,
+      cost: {
+        expected,
+        low: quantile(totals, tail),
+        high: quantile(totals, 1 - tail),
+        confidence: this.config.confidence,
+        perUrl: urls.length > 0 ? expected / urls.length : 0,
+        currency: version.currency,
+        pricingVersion: version.version
+      },
+      levels,
+      escalations,
+      sample: {
+        domains: sampled.length,
+        totalDomains: domains.length,
+        // Share of URLs whose own domain was checked
+        coverage: urls.length > 0 ? sampledUrls / urls.length : 0,
+        bySource
+      },
+      startLevel: options.startLevel || null,
+      domains: domains.map(d => ({
+        domain: d.domain,
+        urls: d.urls.length,
+        source: d.source,
+        startLevel: d.startLevel,
+        needed: d.needed,
+        expectedCost: d.expectedCost
+      }))
+    };
+  }
+
+  /**
+   * Batch totals over many draws of each domain's needed level
+   */
+  simulate(domains) {
+    const random = seededRandom(this.config.seed);
+    const totals = [];
+    for (let trial = 0; trial < this.config.trials; trial++) {
+      let total = 0;
+      for (const domain of domains) {
+        let draw = random();
+        const path = domain.paths.find(p => (draw -= p.probability) < 0) || domain.paths[domain.paths.length - 1];
+        total += path.cost * domain.urls.length;
+      }
+      totals.push(total);
+    }
+    return totals.sort((a, b) => a - b);
+  }
+
+  async runPooled(items, worker) {
+    let next = 0;
+    const run = async () => {
+      while (next < items.length) {
+        await worker(items[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.config.concurrency, items.length) }, run));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return String(url);
+  }
+}
+
+function averageDistributions(weighted) {
+  const total = weighted.reduce((sum, w) => sum + w.weight, 0);
+  const average = {};
+  for (const { weight, distribution } of weighted) {
+    for (const [level, probability] of Object.entries(distribution)) {
+      average[level] = (average[level] || 0) + probability * weight / total;
+    }
+  }
+  return average;
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+// mulberry32: the same seed gives the same range on every run
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Render an estimate as a plain-text table
+ */
+function formatCostEstimate(estimate) {
+  const lines = [];
+  const pad = (value, width) => String(value).padEnd(width);
+  const money = value => `$${value.toFixed(value < 1 ? 4 : 2)}`;
+  const { cost, sample } = estimate;
+
+  lines.push(
+    `Cost estimate: ${estimate.urls} URLs` +
+    (estimate.geos.length > 0 ? ` x ${estimate.geos.length} geos (${estimate.geos.join(', ')})` : '') +
+    ` = ${estimate.requests} requests`
+  );
+  lines.push(
+    `Sampled ${sample.domains} of ${sample.totalDomains} domains, covering ${(sample.coverage * 100).toFixed(0)}% of URLs ` +
+    `(${Object.entries(sample.bySource).map(([source, n]) => `${n} ${source}`).join(', ') || 'none'})`
+  );
+  lines.push('');
+  lines.push(`${pad('Final level', 20)}${pad('Requests', 12)}Share`);
+  for (const [level, { requests, share }] of Object.entries(estimate.levels)) {
+    lines.push(`${pad(level, 20)}${pad(Math.round(requests), 12)}${(share * 100).toFixed(1)}%`);
+  }
+  lines.push(`${pad('escalations', 20)}${Math.round(estimate.escalations)}`);
+  lines.push('');
+  lines.push(`${pad('Domain', 32)}${pad('URLs', 8)}${pad('Source', 18)}${pad('Start', 18)}Expected`);
+  for (const domain of estimate.domains.slice(0, 10)) {
+    lines.push(
+      `${pad(domain.domain.slice(0, 30), 32)}${pad(domain.urls, 8)}${pad(domain.source, 18)}` +
+      `${pad(domain.startLevel, 18)}${money(domain.expectedCost)}`
+    );
+  }
+  if (estimate.domains.length > 10) {
+    lines.push(`... ${estimate.domains.length - 10} more domains`);
+  }
+  lines.push('');
+  lines.push(
+    `Expected ${money(cost.expected)} (${Math.round(cost.confidence * 100)}% range ` +
+    `${money(cost.low)}-${money(cost.high)}), ${cost.currency}, pricing ${cost.pricingVersion}`
+  );
+  return lines.join('\n');
+}
+
+module.exports = {
+  CostEstimator,
+  formatCostEstimate
+};
@@ -0,0 +1,199 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: EMBEDDED DATA AND HIDDEN APIS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * A server-rendered React or Vue storefront looks like it needs a browser,
+ * but the data the browser would render is already in the HTML, serialized
+ * for hydration:
+ *
+ * - next:         <script id="__NEXT_DATA__" type="application/json">
+ * - nuxt:         <script id="__NUXT_DATA__"> (Nuxt 3) or window.__NUXT__ = {...}
+ * - apollo:       window.__APOLLO_STATE__ = {...}
+ * - initialState: window.__INITIAL_STATE__ / __PRELOADED_STATE__ = {...}
+ * - jsonLd:       <script type="application/ld+json"> (schema.org Product, Offer...)
+ *
+ * Extracting these over HTTP costs a fraction of rendering the page. Pages
+ * that load their data client-side instead usually name the JSON endpoints in
+ * their scripts; discoverApiEndpoints() lists them so they can be called
+ * directly with HttpExecutor.
+ *
+ * Assignments are only parsed when the value is valid JSON; JavaScript-only
+ * literals (Nuxt 2's IIFE, for example) are reported with `parsed: false`.
+ */
+
+// Hydration blobs serialized into a <script> element of their own
+const SCRIPT_SOURCES = [
+  { type: 'next', key: '__NEXT_DATA__', pattern: /<script[^>]*\bid=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/gi },
+  { type: 'nuxt', key: '__NUXT_DATA__', pattern: /<script[^>]*\bid=["']__NUXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/gi },
+  { type: 'jsonLd', key: 'application/ld+json', pattern: /<script[^>]*\btype=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi }
+];
+
+// Hydration blobs assigned to a global in an inline script
+const ASSIGNMENT_SOURCES = [
+  { type: 'nuxt', key: '__NUXT__' },
+  { type: 'apollo', key: '__APOLLO_STATE__' },
+  { type: 'initialState', key: '__INITIAL_STATE__' },
+  { type: 'initialState', key: '__PRELOADED_STATE__' }
+];
+
+/**
+ * Find every embedded state blob in a page
+ *
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} { type, key, bytes, parsed, data }
+ *
+ * @example
+ * const sources = extractEmbeddedData(result.body);
+ * const next = sources.find(s => s.type === 'next');
+ * console.log(next.data.props.pageProps.product.price);
+ */
+function extractEmbeddedData(html) {
+  if (typeof html !== 'string' || html.length === 0) return [];
+  const sources = [];
+
+  for (const { type, key, pattern } of SCRIPT_SOURCES) {
+    for (const match of html.matchAll(pattern)) {
+      sources.push(buildSource(type, key, match[1].trim()));
+    }
+  }
+
+  for (const { type, key } of ASSIGNMENT_SOURCES) {
+    const assignment = new RegExp(`window(?:\\.|\\[["'])${key}(?:["']\\])?\\s*=\\s*`, 'g');
+    for (const match of html.matchAll(assignment)) {
+      const literal = readLiteral(html, match.index + match[0].length);
+      if (literal) sources.push(buildSource(type, key, literal));
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Whether the extracted blobs carry the page's data, rather than just a
+ * breadcrumb or organization snippet
+ */
+function hasUsableEmbeddedData(sources, minBytes = 200) {
+  return sources.some(source =>
+    source.parsed &&
+    source.bytes >= minBytes &&
+    (source.type !== 'jsonLd' || isContentJsonLd(source.data))
+  );
+}
+
+/**
+ * List JSON endpoints referenced by a page's inline scripts
+ *
+ * Looks for quoted URLs and paths that read like APIs: /api/, /graphql,
+ * /v1/-style versions, /wp-json/ and *.json files.
+ *
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL, to resolve relative paths
+ * @returns {Array<Object>} { url, kind: 'graphql' | 'rest' | 'json' }
+ */
+function discoverApiEndpoints(html, baseUrl) {
+  if (typeof html !== 'string' || html.length === 0) return [];
+
+  const candidates = /["'`]((?:https?:)?\/\/[^"'`\s<>]+|\/[^"'`\s<>]*)["'`]/g;
+  const apiLike = /\/graphql\b|\/api\/|\/v\d+\/|\/wp-json\/|\/_next\/data\/|\.json(?:\?|$)/i;
+  // Static assets whose paths merely look like APIs
+  const ignored = /\.(?:js|mjs|css|png|jpe?g|gif|svg|webp|ico|woff2?|ttf|map)(?:\?|$)|\/cdn-cgi\//i;
+
+  const scripts = [...html.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)].map(m => m[1]).join('\n');
+
+  const endpoints = new Map();
+  for (const match of scripts.matchAll(candidates)) {
+    const raw = match[1];
+    if (!apiLike.test(raw) || ignored.test(raw)) continue;
+
+    let url;
+    try {
+      url = new URL(raw, baseUrl).toString();
+    } catch {
+      continue;
+    }
+    if (endpoints.has(url)) continue;
+
+    endpoints.set(url, {
+      url,
+      kind: /\/graphql\b/i.test(raw) ? 'graphql' : /\.json(?:\?|$)/i.test(raw) ? 'json' : 'rest'
+    });
+  }
+
+  return [...endpoints.values()];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function buildSource(type, key, text) {
+  let data = null;
+  let parsed = false;
+  try {
+    data = JSON.parse(decodeEntities(text));
+    parsed = true;
+  } catch {
+    // JavaScript literal, not JSON
+  }
+  return { type, key, bytes: Buffer.byteLength(text), parsed, data };
+}
+
+// Script bodies are raw text, but some sites entity-encode JSON-LD anyway
+function decodeEntities(text) {
+  if (!/^\s*&/.test(text) && !text.includes('&quot;')) return text;
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the object/array literal (or other expression) starting at `start`,
+ * up to its matching bracket - skipping brackets inside strings
+ */
+function readLiteral(text, start) {
+  const open = text[start];
+  if (open !== '{' && open !== '[') {
+    // e.g. window.__NUXT__=(function(a,b){...}(...)) - keep the statement
+    const end = text.indexOf('</script>', start);
+    const statement = text.slice(start, end === -1 ? undefined : end).trim().replace(/;$/, '');
+    return statement || null;
+  }
+
+  const stack = [];
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if (char === '{' || char === '[') stack.push(char);
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+// JSON-LD that describes the page's content, not just site chrome
+function isContentJsonLd(data) {
+  const chrome = ['Organization', 'WebSite', 'BreadcrumbList', 'SiteNavigationElement', 'WebPage'];
+  const items = Array.isArray(data) ? data : data?.['@graph'] || [data];
+  return items.some(item => {
+    const types = [].concat(item?.['@type'] || []);
+    return types.length > 0 && types.some(type => !chrome.includes(type));
+  });
+}
+
+module.exports = {
+  extractEmbeddedData,
+  hasUsableEmbeddedData,
+  discoverApiEndpoints
+};
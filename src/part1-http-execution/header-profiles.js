@@ -0,0 +1,223 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: GEO-ALIGNED HEADER PROFILES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * A German exit IP that asks for `Accept-Language: en-US` gets the English
+ * site - and GeoValidator then reports a mismatch. A Firefox user agent that
+ * sends Chrome's `sec-ch-ua` hints looks like exactly what it is: a bot.
+ *
+ * A header profile is one real browser's request headers:
+ * - User-Agent and, for Chromium browsers, the matching sec-ch-ua hints
+ * - Accept as that browser sends it for navigations
+ * - Accept-Language for the target geo
+ *
+ * Browser identities rotate from a pool; the locale always follows the geo.
+ * Custom pools are checked on construction so UA and client hints can never
+ * disagree (Chromium major version, platform, and no hints for Firefox/Safari).
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 1: BROWSERS AND LOCALES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CHROMIUM_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7';
+
+const DEFAULT_BROWSERS = [
+  {
+    id: 'chrome-120-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    accept: CHROMIUM_ACCEPT,
+    clientHints: {
+      'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+      'sec-ch-ua-mobile': '?0',
+      'sec-ch-ua-platform': '"Windows"'
+    }
+  },
+  {
+    id: 'chrome-120-macos',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    accept: CHROMIUM_ACCEPT,
+    clientHints: {
+      'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+      'sec-ch-ua-mobile': '?0',
+      'sec-ch-ua-platform': '"macOS"'
+    }
+  },
+  {
+    id: 'chrome-119-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+    accept: CHROMIUM_ACCEPT,
+    clientHints: {
+      'sec-ch-ua': '"Google Chrome";v="119", "Chromium";v="119", "Not?A_Brand";v="24"',
+      'sec-ch-ua-mobile': '?0',
+      'sec-ch-ua-platform': '"Windows"'
+    }
+  },
+  {
+    id: 'edge-120-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0',
+    accept: CHROMIUM_ACCEPT,
+    clientHints: {
+      'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Microsoft Edge";v="120"',
+      'sec-ch-ua-mobile': '?0',
+      'sec-ch-ua-platform': '"Windows"'
+    }
+  },
+  {
+    id: 'firefox-121-windows',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+    accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+    clientHints: {}
+  },
+  {
+    id: 'safari-17-macos',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+    accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    clientHints: {}
+  }
+];
+
+// Accept-Language per geo (ISO 3166 country code, as used for proxy targeting)
+const DEFAULT_LOCALES = {
+  us: 'en-US,en;q=0.9',
+  uk: 'en-GB,en;q=0.9',
+  gb: 'en-GB,en;q=0.9',
+  ie: 'en-IE,en;q=0.9',
+  ca: 'en-CA,en;q=0.9,fr-CA;q=0.8',
+  au: 'en-AU,en;q=0.9',
+  in: 'en-IN,en;q=0.9,hi;q=0.8',
+  de: 'de-DE,de;q=0.9,en;q=0.8',
+  at: 'de-AT,de;q=0.9,en;q=0.8',
+  ch: 'de-CH,de;q=0.9,fr-CH;q=0.8,en;q=0.7',
+  fr: 'fr-FR,fr;q=0.9,en;q=0.8',
+  es: 'es-ES,es;q=0.9,en;q=0.8',
+  it: 'it-IT,it;q=0.9,en;q=0.8',
+  nl: 'nl-NL,nl;q=0.9,en;q=0.8',
+  pl: 'pl-PL,pl;q=0.9,en;q=0.8',
+  se: 'sv-SE,sv;q=0.9,en;q=0.8',
+  br: 'pt-BR,pt;q=0.9,en;q=0.8',
+  mx: 'es-MX,es;q=0.9,en;q=0.8',
+  jp: 'ja-JP,ja;q=0.9,en;q=0.8',
+  kr: 'ko-KR,ko;q=0.9,en;q=0.8',
+  cn: 'zh-CN,zh;q=0.9,en;q=0.8',
+  tw: 'zh-TW,zh;q=0.9,en;q=0.8',
+  ru: 'ru-RU,ru;q=0.9,en;q=0.8'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 2: PROFILE SELECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Selects request headers for a geo from a pool of browser identities
+ *
+ * @example
+ * const executor = new HttpExecutor({
+ *   headerProfiles: { rotation: 'round-robin', pool: DEFAULT_BROWSERS.slice(0, 3) }
+ * });
+ *
+ * const result = await executor.fetch('https://shop.example.de', { geo: 'de' });
+ * console.log(result.headerProfile); // { id: 'chrome-120-windows', geo: 'de', headers: {...} }
+ */
+class HeaderProfiles {
+  constructor(config = {}) {
+    this.config = {
+      // Browser identities; each may list `geos` it is limited to
+      pool: config.pool || DEFAULT_BROWSERS,
+      locales: { ...DEFAULT_LOCALES, ...config.locales },
+      // 'random' or 'round-robin'; sessions always keep their first pick
+      rotation: config.rotation || 'random',
+      defaultGeo: config.defaultGeo || 'us'
+    };
+
+    this.config.pool.forEach(browser => this.validate(browser));
+
+    this.cursor = 0;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Pick a profile for a request
+   *
+   * @param {Object} request - { geo, session }
+   * @returns {Object} { id, geo, headers }
+   */
+  select({ geo, session } = {}) {
+    const targetGeo = (geo || this.config.defaultGeo).toLowerCase();
+    const candidates = this.config.pool.filter(b => !b.geos || b.geos.includes(targetGeo));
+    const pool = candidates.length > 0 ? candidates : this.config.pool;
+
+    // One visitor keeps one browser for the whole session
+    let browser = session ? pool.find(b => b.id === this.sessions.get(session)) : null;
+    if (!browser) {
+      browser = this.config.rotation === 'round-robin'
+        ? pool[this.cursor++ % pool.length]
+        : pool[Math.floor(Math.random() * pool.length)];
+      if (session) this.sessions.set(session, browser.id);
+    }
+
+    return {
+      id: browser.id,
+      geo: targetGeo,
+      headers: {
+        'User-Agent': browser.userAgent,
+        'Accept': browser.accept,
+        'Accept-Language': this.config.locales[targetGeo] || this.config.locales[this.config.defaultGeo],
+        ...browser.clientHints
+      }
+    };
+  }
+
+  /**
+   * Reject browser identities whose client hints contradict the user agent
+   */
+  validate(browser) {
+    const { id, userAgent, clientHints = {} } = browser;
+    if (!id || !userAgent || !browser.accept) {
+      throw new Error(`Header profile ${id || '(unnamed)'} needs id, userAgent and accept`);
+    }
+
+    const chromium = userAgent.match(/Chrome\/(\d+)/);
+    const hints = clientHints['sec-ch-ua'];
+
+    if (!chromium) {
+      if (Object.keys(clientHints).length > 0) {
+        throw new Error(`Header profile ${id}: only Chromium browsers send client hints`);
+      }
+      return;
+    }
+
+    if (!hints || !hints.includes(`"Chromium";v="${chromium[1]}"`)) {
+      throw new Error(`Header profile ${id}: sec-ch-ua must include "Chromium";v="${chromium[1]}"`);
+    }
+
+    const platform = /Windows/.test(userAgent) ? 'Windows'
+      : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Android/.test(userAgent) ? 'Android'
+          : /Linux/.test(userAgent) ? 'Linux' : null;
+    if (platform && clientHints['sec-ch-ua-platform'] !== `"${platform}"`) {
+      throw new Error(`Header profile ${id}: sec-ch-ua-platform must be "${platform}"`);
+    }
+
+    const mobile = /Mobile/.test(userAgent) ? '?1' : '?0';
+    if (clientHints['sec-ch-ua-mobile'] !== mobile) {
+      throw new Error(`Header profile ${id}: sec-ch-ua-mobile must be ${mobile}`);
+    }
+  }
+}
+
+/**
+ * Accept a HeaderProfiles instance or its config object; false disables
+ */
+function resolveHeaderProfiles(profiles) {
+  if (profiles === false) return null;
+  return profiles instanceof HeaderProfiles ? profiles : new HeaderProfiles(profiles || {});
+}
+
+module.exports = {
+  HeaderProfiles,
+  DEFAULT_BROWSERS,
+  DEFAULT_LOCALES,
+  resolveHeaderProfiles
+};
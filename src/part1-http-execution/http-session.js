@@ -0,0 +1,291 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: STICKY SESSIONS AND COOKIE JAR
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * By default every Web Unlocker request gets a fresh exit IP and no cookies.
+ * Multi-request flows (listing page → product page → cart API) need both to
+ * stay stable, otherwise the site sees a new visitor on every step.
+ *
+ * A session:
+ * - Keeps a cookie jar across requests (Set-Cookie in, Cookie out)
+ * - Passes its id to the proxy provider as the sticky session (Bright Data's
+ *   `-session-<id>` flag) so all requests share one exit IP
+ * - Rotates to a new id (new IP, empty jar) when the session idles out or a
+ *   request gets blocked, and retries the blocked request once on the new IP
+ *
+ * @see https://docs.brightdata.com/proxy-networks/config-options#session
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 1: COOKIE JAR
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Registrable-looking suffixes a Domain attribute may not name. Single-label
+// domains (`com`, `uk`) are always refused; pass `publicSuffixes` for a full list.
+const PUBLIC_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'co.in', 'co.za', 'com.br', 'com.cn', 'com.mx',
+  'com.tr', 'com.sg', 'com.hk', 'co.kr',
+  'github.io', 'herokuapp.com', 'appspot.com', 'blogspot.com', 'cloudfront.net',
+  'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev'
+];
+
+/**
+ * Minimal RFC 6265 cookie jar - domain, path, secure and expiry aware
+ *
+ * A cookie whose Domain attribute does not domain-match the response host,
+ * or names a public suffix, is ignored (RFC 6265 §5.3 steps 5-6).
+ */
+class CookieJar {
+  constructor(config = {}) {
+    this.config = {
+      publicSuffixes: new Set((config.publicSuffixes || PUBLIC_SUFFIXES).map(s => s.toLowerCase()))
+    };
+    this.cookies = [];
+  }
+
+  /**
+   * Store cookies from a response's Set-Cookie header(s)
+   */
+  setFromResponse(url, setCookie) {
+    if (!setCookie) return;
+    const headers = Array.isArray(setCookie) ? setCookie : [setCookie];
+    for (const header of headers) {
+      this.setCookie(url, header);
+    }
+  }
+
+  /**
+   * Store a single `name=value; Attr=...` cookie string
+   */
+  setCookie(url, cookieString) {
+    const { hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase();
+    const [pair, ...attributes] = cookieString.split(';');
+    const separator = pair.indexOf('=');
+    if (separator === -1) return;
+
+    const cookie = {
+      name: pair.slice(0, separator).trim(),
+      value: pair.slice(separator + 1).trim(),
+      domain: host,
+      hostOnly: true,
+      path: pathname.slice(0, pathname.lastIndexOf('/')) || '/',
+      secure: false,
+      expires: null
+    };
+
+    for (const attribute of attributes) {
+      const [rawName, ...rest] = attribute.split('=');
+      const name = rawName.trim().toLowerCase();
+      const value = rest.join('=').trim();
+
+      if (name === 'domain' && value) {
+        cookie.domain = value.replace(/^\./, '').toLowerCase();
+        cookie.hostOnly = false;
+      } else if (name === 'path' && value.startsWith('/')) {
+        cookie.path = value;
+      } else if (name === 'secure') {
+        cookie.secure = true;
+      } else if (name === 'max-age') {
+        cookie.expires = Date.now() + parseInt(value, 10) * 1000;
+      } else if (name === 'expires' && cookie.expires === null) {
+        const expires = Date.parse(value);
+        if (!Number.isNaN(expires)) cookie.expires = expires;
+      }
+    }
+
+    if (!cookie.hostOnly) {
+      if (this.isPublicSuffix(cookie.domain)) {
+        // A site may set a cookie for itself, even on a public suffix
+        if (cookie.domain !== host) return;
+        cookie.hostOnly = true;
+      } else if (!this.domainMatches(host, cookie.domain)) {
+        return;
+      }
+    }
+
+    // Replace any existing cookie with the same identity
+    this.cookies = this.cookies.filter(c =>
+      !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+
+    if (cookie.expires === null || cookie.expires > Date.now()) {
+      this.cookies.push(cookie);
+    }
+  }
+
+  /**
+   * Build the Cookie header value for a request, or '' if nothing matches
+   */
+  getCookieHeader(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    const host = hostname.toLowerCase();
+    const now = Date.now();
+
+    this.cookies = this.cookies.filter(c => c.expires === null || c.expires > now);
+
+    return this.cookies
+      .filter(c => c.hostOnly ? host === c.domain : host === c.domain || host.endsWith(`.${c.domain}`))
+      .filter(c => pathname === c.path || pathname.startsWith(c.path.endsWith('/') ? c.path : `${c.path}/`))
+      .filter(c => !c.secure || protocol === 'https:')
+      .sort((a, b) => b.path.length - a.path.length)
+      .map(c => `${c.name}=${c.value}`)
+      .join('; ');
+  }
+
+  getCookies() {
+    return this.cookies.map(c => ({ ...c }));
+  }
+
+  clear() {
+    this.cookies = [];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  domainMatches(host, domain) {
+    if (host === domain) return true;
+    return !net.isIP(host) && host.endsWith(`.${domain}`);
+  }
+
+  isPublicSuffix(domain) {
+    return !domain.includes('.') || this.config.publicSuffixes.has(domain);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 2: HTTP SESSION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sticky-IP, cookie-carrying sequence of requests through one HttpExecutor
+ *
+ * Created with `executor.session()` rather than directly.
+ *
+ * @example
+ * const session = executor.session({ geo: 'us' });
+ * await session.fetch('https://shop.example.com/category/shoes');
+ * await session.fetch('https://shop.example.com/product/123');
+ * const cart = await session.fetch('https://shop.example.com/api/cart');
+ * console.log(cart.session); // { id, rotations, requestCount }
+ */
+class HttpSession {
+  constructor(executor, config = {}) {
+    this.executor = executor;
+    this.config = {
+      geo: config.geo,
+      // Bright Data drops idle sessions; rotate before reusing a dead one
+      idleTimeout: config.idleTimeout || 5 * 60 * 1000,
+      rotateOnBlock: config.rotateOnBlock !== false,
+      maxRotations: config.maxRotations ?? 1
+    };
+
+    this.cookieJar = config.cookieJar || new CookieJar();
+    this.id = this.generateId();
+    this.createdAt = Date.now();
+    this.lastUsed = Date.now();
+    this.rotations = 0;
+    this.rotationHistory = [];
+    this.requestCount = 0;
+  }
+
+  /**
+   * Fetch a URL inside this session
+   */
+  async fetch(url, options = {}) {
+    if (this.isExpired()) {
+      this.rotate('expired', { keepCookies: true });
+    }
+
+    let result;
+    for (let attempt = 0; attempt <= this.config.maxRotations; attempt++) {
+      this.lastUsed = Date.now();
+      this.requestCount++;
+
+      result = await this.executor.fetch(url, {
+        cache: false,
+        geo: this.config.geo,
+        ...options,
+        session: this
+      });
+
+      if (!this.config.rotateOnBlock || !this.isBlocked(result)) break;
+      if (attempt === this.config.maxRotations) break;
+
+      this.rotate('blocked');
+    }
+
+    return { ...result, session: this.getInfo() };
+  }
+
+  /**
+   * Called by the executor with each raw response
+   *
+   * Live redirect hops reach the jar as they are followed, so the next hop
+   * can send them; a replayed response brings its recorded hops along.
+   */
+  handleResponse(url, response) {
+    if (response.replayed) {
+      for (const hop of response.redirects || []) {
+        this.cookieJar.setFromResponse(hop.url, hop.setCookie);
+      }
+    }
+    this.cookieJar.setFromResponse(response.finalUrl || url, response.headers?.['set-cookie']);
+  }
+
+  /**
+   * Called by the executor before following a redirect: store the hop's
+   * cookies and return the Cookie header for the next hop
+   */
+  handleRedirect(url, setCookie, nextUrl) {
+    this.cookieJar.setFromResponse(url, setCookie);
+    return this.cookieJar.getCookieHeader(nextUrl);
+  }
+
+  /**
+   * Start over on a new exit IP
+   */
+  rotate(reason, { keepCookies = false } = {}) {
+    this.rotationHistory.push({ previousId: this.id, reason, timestamp: new Date() });
+
+    this.id = this.generateId();
+    this.createdAt = Date.now();
+    this.lastUsed = Date.now();
+    this.rotations++;
+
+    if (!keepCookies) this.cookieJar.clear();
+  }
+
+  generateId() {
+    return crypto.randomBytes(6).toString('hex');
+  }
+
+  isExpired() {
+    return Date.now() - this.lastUsed > this.config.idleTimeout;
+  }
+
+  isBlocked(result) {
+    return result.statusCode === 403 ||
+           result.statusCode === 429 ||
+           (!result.success && result.escalationNeeded);
+  }
+
+  getInfo() {
+    return {
+      id: this.id,
+      rotations: this.rotations,
+      requestCount: this.requestCount
+    };
+  }
+}
+
+module.exports = {
+  CookieJar,
+  HttpSession
+};
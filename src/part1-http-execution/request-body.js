@@ -0,0 +1,141 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: REQUEST BODIES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Many SPA sites load their data from search and GraphQL endpoints. Calling
+ * those through Web Unlocker is far cheaper than rendering the page in a
+ * browser, but they need a request body:
+ *
+ * - json:      JSON.stringify(value)               application/json
+ * - form:      URL-encoded fields                  application/x-www-form-urlencoded
+ * - multipart: Fields and files                    multipart/form-data
+ *
+ * Bodies are encoded once into a Buffer so their size can be billed and a
+ * stable hash can tell recorded requests apart in cassettes. The multipart
+ * boundary is derived from the content for the same reason.
+ */
+
+const crypto = require('crypto');
+const { isUtf8 } = require('buffer');
+
+/**
+ * Encode the body described by fetch options, or return null if there is none
+ *
+ * @param {Object} options - Fetch options
+ * @param {*} options.json - Value to send as JSON
+ * @param {Object|URLSearchParams} options.form - Fields to URL-encode
+ * @param {Object} options.multipart - Fields; values are strings, Buffers or
+ *   { value, filename, contentType } for files. Arrays repeat the field.
+ * @returns {{ data: Buffer, contentType: string, bytes: number, hash: string, kind: string } | null}
+ */
+function encodeRequestBody(options = {}) {
+  const kinds = ['json', 'form', 'multipart'].filter(kind => options[kind] !== undefined);
+  if (kinds.length === 0) return null;
+  if (kinds.length > 1) {
+    throw new Error(`Only one request body can be sent, got: ${kinds.join(', ')}`);
+  }
+
+  const kind = kinds[0];
+  let encoded;
+  if (kind === 'json') {
+    encoded = { data: Buffer.from(JSON.stringify(options.json)), contentType: 'application/json' };
+  } else if (kind === 'form') {
+    encoded = {
+      data: Buffer.from(encodeForm(options.form)),
+      contentType: 'application/x-www-form-urlencoded'
+    };
+  } else {
+    encoded = encodeMultipart(options.multipart);
+  }
+
+  return {
+    ...encoded,
+    bytes: encoded.data.length,
+    hash: hashBody(encoded.data),
+    kind
+  };
+}
+
+function encodeForm(form) {
+  if (form instanceof URLSearchParams) return form.toString();
+
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(form)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item !== undefined && item !== null) params.append(name, String(item));
+    }
+  }
+  return params.toString();
+}
+
+function encodeMultipart(fields) {
+  const parts = [];
+
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item === undefined || item === null) continue;
+
+      const file = typeof item === 'object' && !Buffer.isBuffer(item) ? item : null;
+      const content = file ? file.value : item;
+      let disposition = `form-data; name="${escapeQuotes(name)}"`;
+      let contentType = null;
+
+      if (file?.filename) disposition += `; filename="${escapeQuotes(file.filename)}"`;
+      if (file?.contentType) contentType = file.contentType;
+      else if (file?.filename || Buffer.isBuffer(content)) contentType = 'application/octet-stream';
+
+      parts.push({
+        headers: `Content-Disposition: ${disposition}\r\n` +
+          (contentType ? `Content-Type: ${contentType}\r\n` : ''),
+        body: Buffer.isBuffer(content) ? content : Buffer.from(String(content))
+      });
+    }
+  }
+
+  // Content-derived boundary: identical fields always encode identically
+  const digest = crypto.createHash('sha1');
+  for (const part of parts) {
+    digest.update(part.headers);
+    digest.update(part.body);
+  }
+  const boundary = `----WebExecutionLayer${digest.digest('hex')}`;
+
+  const chunks = [];
+  for (const part of parts) {
+    chunks.push(Buffer.from(`--${boundary}\r\n${part.headers}\r\n`), part.body, Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return {
+    data: Buffer.concat(chunks),
+    contentType: `multipart/form-data; boundary=${boundary}`
+  };
+}
+
+function escapeQuotes(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r|\n/g, ' ');
+}
+
+/**
+ * Whether an encoded body is valid UTF-8 and so can be sent as a string
+ */
+function isTextBody(data) {
+  // buffer.isUtf8 arrived in Node 18.14
+  if (isUtf8) return isUtf8(data);
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(data);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function hashBody(data) {
+  return crypto.createHash('sha1').update(data).digest('hex').slice(0, 12);
+}
+
+module.exports = {
+  encodeRequestBody,
+  isTextBody
+};
@@ -0,0 +1,296 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: HTTP RESPONSE CACHE
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every Web Unlocker request is billed, even when the page has not changed since
+ * the last run. The response cache keeps successful responses keyed by
+ * URL + geo + request headers and follows standard HTTP caching rules:
+ *
+ * - Fresh entries (Cache-Control max-age, or the configured default TTL) are
+ *   served without any request and recorded as zero-cost
+ * - Stale entries with an ETag/Last-Modified are revalidated with
+ *   If-None-Match/If-Modified-Since - a 304 reuses the cached body
+ * - `Cache-Control: no-store` and `private` responses are never stored
+ * - Requests made in an HttpSession bypass the cache: their cookies are not
+ *   part of the key
+ *
+ * HttpExecutor also skips soft-blocked pages and pages that need escalation,
+ * so one wall is not served to every later caller.
+ *
+ * Stores are pluggable: anything with async get/set/delete/clear works.
+ * MemoryCacheStore and FileCacheStore are provided.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 1: CACHE STORES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * In-process cache store with a simple oldest-first eviction
+ */
+class MemoryCacheStore {
+  constructor(config = {}) {
+    this.config = {
+      maxEntries: config.maxEntries || 1000
+    };
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * On-disk cache store - one JSON file per entry, survives process restarts
+ */
+class FileCacheStore {
+  constructor(config = {}) {
+    this.config = {
+      dir: config.dir || path.join('.cache', 'http')
+    };
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.promises.mkdir(this.config.dir, { recursive: true });
+    await fs.promises.writeFile(this.filePath(key), JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+
+  async clear() {
+    await fs.promises.rm(this.config.dir, { recursive: true, force: true });
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.config.dir, `${hash}.json`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 2: RESPONSE CACHE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * HTTP caching policy on top of a cache store
+ *
+ * @example
+ * const executor = new HttpExecutor({
+ *   cache: new ResponseCache({ store: new FileCacheStore(), defaultTtl: 3600 })
+ * });
+ *
+ * const result = await executor.fetch('https://example.com/pricing');
+ * console.log(result.cacheStatus); // 'miss' | 'hit' | 'revalidated'
+ */
+class ResponseCache {
+  constructor(config = {}) {
+    this.config = {
+      store: config.store || new MemoryCacheStore(),
+      // Seconds to treat a response as fresh when it sends no max-age
+      defaultTtl: config.defaultTtl || 0
+    };
+    this.store = this.config.store;
+  }
+
+  /**
+   * Build the cache key from URL, geo and caller-supplied headers
+   */
+  buildKey(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = Object.entries(options.headers || {})
+      .map(([name, value]) => `${name.toLowerCase()}=${value}`)
+      .sort()
+      .join('&');
+
+    return `${method} ${url} geo=${(options.geo || '').toLowerCase()} ${headers}`;
+  }
+
+  /**
+   * Session requests carry cookies the key does not see, so they bypass the cache
+   */
+  isCacheable(options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    return options.cache !== false &&
+           !options.session &&
+           options.responseType !== 'stream' &&
+           (method === 'GET' || method === 'HEAD');
+  }
+
+  async get(key) {
+    const entry = await this.store.get(key);
+    return entry ? { ...entry, data: fromStorableBody(entry.data, entry.encoding) } : null;
+  }
+
+  isFresh(entry) {
+    return !entry.noCache && Date.now() < entry.expiresAt;
+  }
+
+  /**
+   * Validator headers for revalidating a stale entry
+   */
+  getConditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  hasValidators(entry) {
+    return !!(entry.etag || entry.lastModified);
+  }
+
+  /**
+   * Store a response snapshot; returns false when the response is not cacheable
+   *
+   * Entries are shared by every caller, so `private` responses are not stored.
+   */
+  async put(key, response) {
+    const cacheControl = this.parseCacheControl(response.headers['cache-control']);
+    if (response.status !== 200 || cacheControl.noStore || cacheControl.private) return false;
+
+    await this.store.set(key, {
+      status: response.status,
+      headers: response.headers,
+      ...toStorableBody(response.data),
+      finalUrl: response.finalUrl,
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified'],
+      noCache: cacheControl.noCache,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + this.getTtl(cacheControl) * 1000
+    });
+
+    return true;
+  }
+
+  /**
+   * Refresh a stale entry after a 304 Not Modified
+   */
+  async refresh(key, entry, notModified) {
+    const headers = { ...entry.headers, ...notModified.headers };
+    const cacheControl = this.parseCacheControl(headers['cache-control']);
+
+    const refreshed = {
+      ...entry,
+      headers,
+      etag: headers.etag || entry.etag,
+      lastModified: headers['last-modified'] || entry.lastModified,
+      noCache: cacheControl.noCache,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + this.getTtl(cacheControl) * 1000
+    };
+
+    await this.store.set(key, { ...refreshed, ...toStorableBody(refreshed.data) });
+    return refreshed;
+  }
+
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
+  async clear() {
+    return this.store.clear();
+  }
+
+  getTtl(cacheControl) {
+    return cacheControl.maxAge ?? this.config.defaultTtl;
+  }
+
+  parseCacheControl(header) {
+    const directives = { noStore: false, noCache: false, private: false, maxAge: undefined };
+    if (!header) return directives;
+
+    for (const part of String(header).toLowerCase().split(',')) {
+      const [name, value] = part.trim().split('=');
+      if (name === 'no-store') directives.noStore = true;
+      if (name === 'no-cache') directives.noCache = true;
+      if (name === 'private') directives.private = true;
+      if (name === 'max-age' && directives.maxAge === undefined) {
+        const seconds = parseInt(value, 10);
+        if (!Number.isNaN(seconds)) directives.maxAge = seconds;
+      }
+      if (name === 's-maxage') {
+        const seconds = parseInt(value, 10);
+        if (!Number.isNaN(seconds)) directives.maxAge = seconds;
+      }
+    }
+
+    return directives;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 3: BODY SERIALIZATION
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Bodies are raw bytes, which JSON cannot hold. Stored bodies (cache entries,
+// cassettes) are base64 encoded; older text-only entries are still readable.
+
+function toStorableBody(data) {
+  if (data === null || data === undefined) return { data: null, encoding: 'base64' };
+  return { data: Buffer.from(data).toString('base64'), encoding: 'base64' };
+}
+
+function fromStorableBody(data, encoding) {
+  if (data === null || data === undefined) return Buffer.alloc(0);
+  if (Buffer.isBuffer(data)) return data;
+  if (encoding === 'base64') return Buffer.from(data, 'base64');
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  return Buffer.from(JSON.stringify(data), 'utf8');
+}
+
+/**
+ * Accept a ResponseCache, a bare store, or `true` for an in-memory cache
+ */
+function resolveResponseCache(cache) {
+  if (!cache) return null;
+  if (cache instanceof ResponseCache) return cache;
+  if (cache === true) return new ResponseCache();
+  if (typeof cache.get === 'function' && typeof cache.set === 'function') {
+    return new ResponseCache({ store: cache });
+  }
+  return new ResponseCache(cache);
+}
+
+module.exports = {
+  MemoryCacheStore,
+  FileCacheStore,
+  ResponseCache,
+  resolveResponseCache,
+  toStorableBody,
+  fromStorableBody
+};
@@ -0,0 +1,154 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: RETRY POLICY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Decides what to do with every HTTP attempt, based on status code and body:
+ *
+ * - success:  Return the response
+ * - retry:    Transient problem (429, 5xx, timeouts and other network errors
+ *             with a known code) - wait and try again
+ * - escalate: Web Unlocker could not get through (403, unresolved challenge)
+ *             - retrying at this level only wastes money
+ * - fail:     Permanent problem (404, 410, other 4xx, or an error that is not
+ *             a network error, such as a TypeError) - stop
+ *
+ * Retry delays honour Retry-After on 429/503 and otherwise use exponential
+ * backoff with full jitter: random(0, min(maxDelay, baseDelay * 2^attempt)).
+ *
+ * @see https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ */
+
+const { CassetteMissError } = require('../shared');
+
+// Network failures that say nothing about the request itself
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'ERR_NETWORK'
+];
+
+/**
+ * Status- and body-aware retry policy for HttpExecutor
+ *
+ * @example
+ * const executor = new HttpExecutor({
+ *   retryPolicy: new RetryPolicy({ maxRetries: 5, baseDelay: 500 })
+ * });
+ *
+ * const result = await executor.fetch(url);
+ * result.attempts.forEach(a => console.log(a.statusCode, a.action, a.delay));
+ */
+class RetryPolicy {
+  constructor(config = {}) {
+    this.config = {
+      maxRetries: config.maxRetries ?? 3,
+      baseDelay: config.baseDelay || 1000,
+      maxDelay: config.maxDelay || 30000,
+      // Never wait longer than this, whatever Retry-After says
+      maxRetryAfter: config.maxRetryAfter || 60000,
+      retryStatuses: config.retryStatuses || [408, 425, 429, 500, 502, 503, 504],
+      // Statuses whose Retry-After header sets the delay
+      retryAfterStatuses: config.retryAfterStatuses || [429, 503],
+      transientErrorCodes: config.transientErrorCodes || TRANSIENT_ERROR_CODES,
+      escalateStatuses: config.escalateStatuses || [401, 403],
+      challengePatterns: config.challengePatterns || [
+        'captcha', 'challenge', 'cf-browser-verification', 'access denied', 'are you a robot'
+      ]
+    };
+  }
+
+  /**
+   * Classify a response
+   *
+   * @param {Object} response - { status, headers, data }
+   * @returns {{ action: string, reason: string }}
+   */
+  classify(response) {
+    const status = response.status;
+    const body = typeof response.data === 'string' ? response.data.toLowerCase() : '';
+    const challenge = this.config.challengePatterns.find(p => body.includes(p));
+
+    if (status < 400) {
+      return { action: 'success', reason: `HTTP ${status}` };
+    }
+
+    // A challenge page means Web Unlocker could not get through - more
+    // attempts at this level will not help, whatever the status
+    if (challenge && (status === 403 || status === 429 || status === 503)) {
+      return { action: 'escalate', reason: `Challenge not resolved (HTTP ${status}, "${challenge}")` };
+    }
+
+    if (this.config.escalateStatuses.includes(status)) {
+      return { action: 'escalate', reason: `Blocked (HTTP ${status})` };
+    }
+
+    if (this.config.retryStatuses.includes(status)) {
+      return { action: 'retry', reason: status === 429 ? 'Rate limited (HTTP 429)' : `Transient error (HTTP ${status})` };
+    }
+
+    return { action: 'fail', reason: `HTTP ${status}` };
+  }
+
+  /**
+   * Classify a thrown error (no HTTP response)
+   */
+  classifyError(error) {
+    // Missing recordings, oversized bodies and rejected API tokens come back
+    // the same every time
+    if (error instanceof CassetteMissError ||
+        error.code === 'ERR_BODY_TOO_LARGE' ||
+        error.code === 'ERR_UNLOCKER_AUTH') {
+      return { action: 'fail', reason: error.message };
+    }
+
+    if (error.response) {
+      return this.classify(error.response);
+    }
+
+    // Timeouts, resets and refused connections are worth another try; a bug
+    // (TypeError, ReferenceError) fails the same way every time
+    if (this.config.transientErrorCodes.includes(error.code)) {
+      return { action: 'retry', reason: `${error.code}: ${error.message}` };
+    }
+    return { action: 'fail', reason: error.code ? `${error.code}: ${error.message}` : error.message };
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt
+   *
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {Object} headers - Response headers (for Retry-After)
+   * @param {number} status - Response status; Retry-After only counts on
+   *   `retryAfterStatuses` (429 and 503 by default)
+   */
+  getDelay(attempt, headers = {}, status = null) {
+    const retryAfter = this.config.retryAfterStatuses.includes(status)
+      ? this.parseRetryAfter(headers['retry-after'])
+      : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.config.maxRetryAfter);
+    }
+
+    const ceiling = Math.min(this.config.maxDelay, this.config.baseDelay * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  /**
+   * Parse Retry-After as seconds or an HTTP date, in milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+  }
+}
+
+module.exports = {
+  RetryPolicy
+};
@@ -0,0 +1,259 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PART 1: SIGNATURE REGISTRY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * EnvironmentAnalyzer decides between HTTP and browser execution from what a
+ * plain request reveals. Each thing it looks for is a signature: one piece of
+ * evidence, attributed to a vendor and weighted by how much it proves.
+ *
+ *   { "id": "datadome-header", "vendor": "DataDome", "category": "antiBot",
+ *     "weight": 0.5, "type": "header", "name": "x-datadome" }
+ *
+ * SIGNATURE TYPES:
+ * - header: Response header `name` is present (and its value matches `pattern`)
+ * - cookie: Set-Cookie with `name` (and a value matching `pattern`)
+ * - script: A <script src> matches `pattern`
+ * - dom:    The HTML matches `pattern`
+ * - status: The status code is one of `codes`
+ *
+ * `name` must match the whole header/cookie name; `pattern` may match anywhere.
+ * Both are case-insensitive regular expressions.
+ *
+ * Every matching signature counts. Weights combine per category as
+ * independent evidence - 1 - (1 - w1)(1 - w2)... - so scores stay within 0..1
+ * and a second weak hint adds less than the first.
+ *
+ * Signatures live in JSON (see signatures.json), so a new vendor is a data
+ * change, not a code change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SIGNATURES_FILE = path.join(__dirname, 'signatures.json');
+
+const SIGNATURE_TYPES = ['header', 'cookie', 'script', 'dom', 'status'];
+
+/**
+ * Holds signatures and matches them against a response
+ *
+ * @example
+ * const registry = SignatureRegistry.fromFile('./signatures.json');
+ * registry.add({
+ *   id: 'acme-shield', vendor: 'Acme Shield', category: 'antiBot',
+ *   weight: 0.5, type: 'header', name: 'x-acme-shield'
+ * });
+ *
+ * const matches = registry.match({ status: 200, headers, html });
+ * // [{ id: 'acme-shield', vendor: 'Acme Shield', description: 'Acme Shield via x-acme-shield header', ... }]
+ */
+class SignatureRegistry {
+  /**
+   * @param {Array<Object>} signatures - Signature definitions (defaults to signatures.json)
+   */
+  constructor(signatures) {
+    this.signatures = new Map();
+    this.load(signatures || SignatureRegistry.readFile(DEFAULT_SIGNATURES_FILE));
+  }
+
+  /**
+   * Build a registry from a JSON file holding an array of signatures
+   */
+  static fromFile(file) {
+    return new SignatureRegistry(SignatureRegistry.readFile(file));
+  }
+
+  static readFile(file) {
+    const signatures = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(signatures)) {
+      throw new Error(`Signature file ${file} must contain a JSON array`);
+    }
+    return signatures;
+  }
+
+  /**
+   * Add signatures; one with an existing id replaces it
+   */
+  load(signatures) {
+    for (const signature of signatures) {
+      this.add(signature);
+    }
+    return this;
+  }
+
+  add(signature) {
+    this.signatures.set(signature.id, this.compile(signature));
+    return this;
+  }
+
+  remove(id) {
+    return this.signatures.delete(id);
+  }
+
+  /**
+   * Signature definitions, optionally for one category
+   */
+  list(category) {
+    return [...this.signatures.values()]
+      .filter(s => !category || s.category === category)
+      .map(s => s.definition);
+  }
+
+  /**
+   * Every signature the response matches
+   *
+   * @param {Object} response - { status, headers, html }
+   * @returns {Array<Object>} { id, vendor, category, weight, type, evidence, description }
+   */
+  match({ status, headers = {}, html = '' } = {}) {
+    const lowerHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+      lowerHeaders[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+    const cookies = parseSetCookies(headers['set-cookie'] || lowerHeaders['set-cookie']);
+    const scripts = extractScriptSources(html);
+
+    const matches = [];
+    for (const signature of this.signatures.values()) {
+      const evidence = this.findEvidence(signature, { status, headers: lowerHeaders, cookies, scripts, html });
+      if (evidence) {
+        matches.push({
+          id: signature.id,
+          vendor: signature.vendor,
+          category: signature.category,
+          weight: signature.weight,
+          type: signature.type,
+          evidence,
+          description: describe(signature, evidence)
+        });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Combine match weights into one 0..1 score per category
+   */
+  score(matches) {
+    const remaining = {};
+    for (const match of matches) {
+      remaining[match.category] = (remaining[match.category] ?? 1) * (1 - match.weight);
+    }
+
+    const scores = {};
+    for (const category of this.getCategories()) {
+      scores[category] = 0;
+    }
+    for (const [category, rest] of Object.entries(remaining)) {
+      scores[category] = Math.round((1 - rest) * 1000) / 1000;
+    }
+    return scores;
+  }
+
+  getCategories() {
+    return [...new Set([...this.signatures.values()].map(s => s.category))];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  compile(signature) {
+    const { id, category, weight, type } = signature;
+    if (!id || !category) {
+      throw new Error(`Signature ${id || '(unnamed)'} needs an id and a category`);
+    }
+    if (!SIGNATURE_TYPES.includes(type)) {
+      throw new Error(`Signature ${id}: unknown type "${type}" (expected ${SIGNATURE_TYPES.join(', ')})`);
+    }
+    if (typeof weight !== 'number' || weight <= 0 || weight > 1) {
+      throw new Error(`Signature ${id}: weight must be a number in (0, 1]`);
+    }
+    if ((type === 'header' || type === 'cookie') && !signature.name) {
+      throw new Error(`Signature ${id}: ${type} signatures need a name`);
+    }
+    if ((type === 'script' || type === 'dom') && !signature.pattern) {
+      throw new Error(`Signature ${id}: ${type} signatures need a pattern`);
+    }
+    if (type === 'status' && !Array.isArray(signature.codes)) {
+      throw new Error(`Signature ${id}: status signatures need a codes array`);
+    }
+
+    return {
+      id,
+      vendor: signature.vendor || null,
+      category,
+      weight,
+      type,
+      name: signature.name ? new RegExp(`^(?:${signature.name})$`, 'i') : null,
+      pattern: signature.pattern ? new RegExp(signature.pattern, 'i') : null,
+      codes: signature.codes || null,
+      definition: { ...signature }
+    };
+  }
+
+  findEvidence(signature, { status, headers, cookies, scripts, html }) {
+    switch (signature.type) {
+      case 'header':
+        return findNamed(signature, Object.entries(headers));
+      case 'cookie':
+        return findNamed(signature, cookies);
+      case 'script':
+        return scripts.find(src => signature.pattern.test(src)) || null;
+      case 'dom': {
+        const found = html.match(signature.pattern);
+        return found ? found[0].slice(0, 80) : null;
+      }
+      case 'status':
+        return signature.codes.includes(status) ? String(status) : null;
+      default:
+        return null;
+    }
+  }
+}
+
+// A [name, value] pair whose name (and value, if the signature has a pattern) match
+function findNamed(signature, pairs) {
+  const found = pairs.find(([name, value]) =>
+    signature.name.test(name) && (!signature.pattern || signature.pattern.test(value))
+  );
+  return found ? found[0] : null;
+}
+
+function parseSetCookies(setCookie) {
+  if (!setCookie) return [];
+  const lines = Array.isArray(setCookie) ? setCookie : [setCookie];
+  return lines.map(line => {
+    const pair = line.split(';')[0];
+    const eq = pair.indexOf('=');
+    return eq === -1 ? [pair.trim(), ''] : [pair.slice(0, eq).trim(), pair.slice(eq + 1).trim()];
+  });
+}
+
+function extractScriptSources(html) {
+  const sources = [];
+  const scriptTag = /<script\b[^>]*\ssrc\s*=\s*["']?([^"'\s>]+)/gi;
+  let match;
+  while ((match = scriptTag.exec(html)) !== null) {
+    sources.push(match[1]);
+  }
+  return sources;
+}
+
+// "DataDome via x-datadome header"; vendor-less signatures just name the evidence
+function describe(signature, evidence) {
+  const found = {
+    header: `${evidence} header`,
+    cookie: `${evidence} cookie`,
+    script: `script ${evidence}`,
+    status: `HTTP ${evidence} response`,
+    dom: `"${evidence}" in page`
+  }[signature.type];
+  return signature.vendor ? `${signature.vendor} via ${found}` : found;
+}
+
+module.exports = {
+  SignatureRegistry,
+  DEFAULT_SIGNATURES_FILE
+};
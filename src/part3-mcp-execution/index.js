@@ -32,6 +32,14 @@
 
 const { EventEmitter } = require('events');
 const axios = require('axios');
+const {
+  abortableDelay,
+  getAbortReason,
+  throwIfAborted,
+  resolveBudget,
+  resolvePricing,
+  resolveCostLedger
+} = require('../shared');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 1: MCP CLIENT
@@ -61,6 +69,14 @@ const axios = require('axios');
  *
  * // Scrape a specific URL
  * const data = await mcp.webScrape({ url: 'https://example.com/pricing', geo: 'us' });
+ *
+ * With a `budget` (Budget), every tool call reserves its estimated cost
+ * before it runs and throws BudgetExceededError when it cannot be afforded,
+ * so concurrent calls cannot overshoot a hard cap. Past a soft cap,
+ * web_scrape runs browser-advanced pages on browser-light instead
+ * (`budgetDowngrade` in the result) unless `forceLevel` is set. Tool calls
+ * are priced from `pricing` (PricingCatalog) and, with a `ledger`
+ * (CostLedger), appended to disk tagged with `jobId`.
  */
 class MCPClient extends EventEmitter {
   constructor(config = {}) {
@@ -83,6 +99,10 @@ class MCPClient extends EventEmitter {
       }
     });
 
+    this.budget = resolveBudget(config.budget);
+    this.pricing = resolvePricing(config.pricing);
+    this.ledger = resolveCostLedger(config.ledger);
+    this.jobId = config.jobId || null;
     this.callHistory = [];
     this.totalCost = 0;
   }
@@ -101,13 +121,17 @@ class MCPClient extends EventEmitter {
    * @param {string} options.query - Search query
    * @param {number} options.limit - Max results (default: 10)
    * @param {string} options.country - Target country
+   * @param {AbortSignal} options.signal - Rejects with CancelledError when aborted
    * @returns {Promise<Object[]>} Search results
    */
   async webSearch(options) {
     const startTime = Date.now();
     this.emit('tool-start', { tool: 'web_search', input: options });
+    let releaseBudget = null;
 
     try {
+      releaseBudget = this.budget?.reserve({ level: 'search', estimatedCost: this.calculateSearchCost(options.limit || 10) });
+
       // In production, this calls the actual MCP endpoint
       const results = await this.executeSearch(options);
 
@@ -116,6 +140,7 @@ class MCPClient extends EventEmitter {
 
       this.recordCall({
         tool: 'web_search',
+        level: 'search',
         input: options,
         output: results,
         duration,
@@ -129,6 +154,8 @@ class MCPClient extends EventEmitter {
     } catch (error) {
       this.emit('tool-error', { tool: 'web_search', error });
       throw error;
+    } finally {
+      if (releaseBudget) releaseBudget();
     }
   }
 
@@ -145,19 +172,32 @@ class MCPClient extends EventEmitter {
    * @param {string} options.geo - Geographic targeting
    * @param {boolean} options.autoEscalate - Allow automatic escalation
    * @param {string} options.forceLevel - Force specific execution level
+   * @param {AbortSignal} options.signal - Rejects with CancelledError when aborted
    * @returns {Promise<Object>} Scrape result
    */
   async webScrape(options) {
     const startTime = Date.now();
     this.emit('tool-start', { tool: 'web_scrape', input: options });
+    let releaseBudget = null;
 
     try {
       // Determine execution level based on URL analysis
-      const executionLevel = options.forceLevel ||
+      let executionLevel = options.forceLevel ||
         (this.config.autoEscalate
           ? await this.determineExecutionLevel(options.url)
           : 'http');
 
+      const budgetDowngrade = options.forceLevel ? null : this.getBudgetDowngrade(options, executionLevel);
+      if (budgetDowngrade) {
+        executionLevel = budgetDowngrade.to;
+        this.emit('budget-downgrade', { tool: 'web_scrape', url: options.url, ...budgetDowngrade });
+      }
+      releaseBudget = this.budget?.reserve({
+        url: options.url,
+        level: executionLevel,
+        estimatedCost: this.calculateScrapeCost(executionLevel, options.geo)
+      });
+
       // Execute scrape
       const result = await this.executeScrape(options, executionLevel);
 
@@ -168,11 +208,14 @@ class MCPClient extends EventEmitter {
         ...result,
         executionLevel,
         cost,
-        duration
+        duration,
+        ...(budgetDowngrade && { budgetDowngrade })
       };
 
       this.recordCall({
         tool: 'web_scrape',
+        url: options.url,
+        level: executionLevel,
         input: options,
         output: finalResult,
         duration,
@@ -186,6 +229,8 @@ class MCPClient extends EventEmitter {
     } catch (error) {
       this.emit('tool-error', { tool: 'web_scrape', error });
       throw error;
+    } finally {
+      if (releaseBudget) releaseBudget();
     }
   }
 
@@ -206,7 +251,8 @@ class MCPClient extends EventEmitter {
       const result = await this.webScrape({
         url: options.url,
         geo,
-        selectors: options.selectors
+        selectors: options.selectors,
+        signal: options.signal
       });
       results.set(geo, result);
     }
@@ -222,13 +268,22 @@ class MCPClient extends EventEmitter {
    * @param {Object} options - Navigation options
    * @param {string} options.url - Starting URL
    * @param {Object[]} options.steps - Navigation steps
+   * @param {AbortSignal} options.signal - Rejects with CancelledError when aborted
    * @returns {Promise<Object>} Navigation result
    */
   async webNavigate(options) {
     const startTime = Date.now();
     this.emit('tool-start', { tool: 'web_navigate', input: options });
+    let releaseBudget = null;
 
     try {
+      // Navigation drives a full browser session
+      releaseBudget = this.budget?.reserve({
+        url: options.url,
+        level: 'browser-advanced',
+        estimatedCost: this.calculateNavigationCost(options.steps.length, options.geo)
+      });
+
       const result = await this.executeNavigation(options);
 
       const duration = Date.now() - startTime;
@@ -242,6 +297,8 @@ class MCPClient extends EventEmitter {
 
       this.recordCall({
         tool: 'web_navigate',
+        url: options.url,
+        level: 'browser-advanced',
         input: options,
         output: finalResult,
         duration,
@@ -255,6 +312,8 @@ class MCPClient extends EventEmitter {
     } catch (error) {
       this.emit('tool-error', { tool: 'web_navigate', error });
       throw error;
+    } finally {
+      if (releaseBudget) releaseBudget();
     }
   }
 
@@ -289,7 +348,7 @@ class MCPClient extends EventEmitter {
 
   async executeSearch(options) {
     // Simulate network delay
-    await this.delay(500 + Math.random() * 500);
+    await this.delay(500 + Math.random() * 500, options.signal);
 
     // Generate mock results based on query
     const competitors = [
@@ -314,7 +373,7 @@ class MCPClient extends EventEmitter {
   async executeScrape(options, level) {
     // Simulate delay based on execution level
     const delays = { 'http': 500, 'browser-light': 2000, 'browser-advanced': 4000 };
-    await this.delay(delays[level] + Math.random() * 1000);
+    await this.delay(delays[level] + Math.random() * 1000, options.signal);
 
     // Simulate extracted data based on geo
     const mockPrices = {
@@ -345,7 +404,7 @@ class MCPClient extends EventEmitter {
 
     for (let i = 0; i < options.steps.length; i++) {
       const step = options.steps[i];
-      await this.delay(500 + Math.random() * 500);
+      await this.delay(500 + Math.random() * 500, options.signal);
 
       stepResults.push({
         step: i + 1,
@@ -378,29 +437,52 @@ class MCPClient extends EventEmitter {
   }
 
   calculateSearchCost(resultCount) {
-    return 0.005 * Math.ceil(resultCount / 10);
+    return this.pricing.price('search', { zone: this.config.zone, results: resultCount }).totalCost;
   }
 
   calculateScrapeCost(level, geo) {
-    const baseCosts = { 'http': 0.001, 'browser-light': 0.01, 'browser-advanced': 0.025 };
-    const geoPremium = geo && geo !== 'us' ? 0.002 : 0;
-    return baseCosts[level] + geoPremium;
+    return this.pricing.price(level, { zone: this.config.zone, geo }).totalCost;
   }
 
   calculateNavigationCost(stepCount, geo) {
-    const baseCost = 0.025;
-    const perStepCost = 0.005;
-    const geoPremium = geo && geo !== 'us' ? 0.005 : 0;
-    return baseCost + (perStepCost * stepCount) + geoPremium;
+    return this.pricing.price('navigation', { zone: this.config.zone, geo, steps: stepCount }).totalCost;
   }
 
   recordCall(call) {
     this.callHistory.push({ ...call, timestamp: new Date() });
     this.totalCost += call.cost;
+    this.budget?.record({ url: call.url, level: call.level, cost: call.cost });
+
+    const version = this.pricing.getVersion();
+    this.ledger?.append({
+      url: call.url,
+      level: call.level,
+      executor: 'mcp',
+      jobId: call.input?.jobId || this.jobId,
+      geo: call.input?.geo,
+      zone: this.config.zone,
+      cost: call.cost,
+      currency: version.currency,
+      pricingVersion: version.version
+    });
+  }
+
+  /**
+   * Past a soft cap, a browser-advanced scrape is run on browser-light
+   */
+  getBudgetDowngrade(options, level) {
+    if (level !== 'browser-advanced') return null;
+    const decision = this.budget?.check({
+      url: options.url,
+      level,
+      estimatedCost: this.calculateScrapeCost(level, options.geo)
+    });
+    if (!decision || decision.allowed || decision.violation.limit !== 'soft') return null;
+    return { from: level, to: 'browser-light', reason: decision.reason };
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal) {
+    return abortableDelay(ms, signal);
   }
 }
 
@@ -427,11 +509,20 @@ class MCPClient extends EventEmitter {
  *   target: 'Shopify',
  *   parameters: { geos: ['us', 'uk', 'de'], limit: 5 }
  * });
+ *
+ * With `robots` (a RobotsPolicy) configured, disallowed URLs are never scraped
+ * and are listed in the result's `skipped` array. Set `parameters.robots: false`
+ * to turn the check off for a task.
+ *
+ * Pass `{ signal }` as the second argument to stop a task part-way; the agent
+ * makes no further MCP calls and returns a `cancelled` result with the phases
+ * completed so far.
  */
 class AIAgent extends EventEmitter {
   constructor(config) {
     super();
     this.mcp = config.mcpClient;
+    this.robots = config.robots || null;
     this.config = {
       maxSteps: config.maxSteps || 50,
       verbose: config.verbose !== false
@@ -440,30 +531,53 @@ class AIAgent extends EventEmitter {
 
   /**
    * Execute a research task
+   *
+   * Tasks may run concurrently on one agent: each keeps its own phases,
+   * skipped URLs and signal in a task context.
+   *
+   * @param {Object} task - { type, target, parameters }
+   * @param {Object} options - { signal } to cancel the task
    */
-  async executeResearch(task) {
+  async executeResearch(task, options = {}) {
     const startTime = Date.now();
-    const phases = [];
+    const context = { task, phases: [], skipped: [], signal: options.signal || null };
+    const { phases, skipped, signal } = context;
 
     this.emit('task-start', { task });
 
     try {
       switch (task.type) {
         case 'competitive-research':
-          return await this.executeCompetitiveResearch(task, phases);
+          return await this.executeCompetitiveResearch(context);
         case 'price-monitoring':
-          return await this.executePriceMonitoring(task, phases);
+          return await this.executePriceMonitoring(context);
         case 'content-aggregation':
-          return await this.executeContentAggregation(task, phases);
+          return await this.executeContentAggregation(context);
         default:
           throw new Error(`Unknown task type: ${task.type}`);
       }
     } catch (error) {
+      if (signal?.aborted) {
+        const reason = getAbortReason(signal);
+        return {
+          success: false,
+          outcome: 'cancelled',
+          cancelReason: reason,
+          task,
+          phases,
+          findings: { error: `Cancelled: ${reason}` },
+          skipped: [...skipped],
+          totalCost: this.mcp.getTotalCost(),
+          totalDuration: Date.now() - startTime
+        };
+      }
+
       return {
         success: false,
         task,
         phases,
         findings: { error: error.message },
+        skipped: [...skipped],
         totalCost: this.mcp.getTotalCost(),
         totalDuration: Date.now() - startTime
       };
@@ -474,7 +588,8 @@ class AIAgent extends EventEmitter {
   // Competitive Research Flow
   // ═══════════════════════════════════════════════════════════════════════════
 
-  async executeCompetitiveResearch(task, phases) {
+  async executeCompetitiveResearch(context) {
+    const { task, phases } = context;
     const startTime = Date.now();
     const { target, parameters } = task;
     const geos = parameters.geos || ['us'];
@@ -482,10 +597,10 @@ class AIAgent extends EventEmitter {
 
     // Phase 1: Search for competitors
     this.log(`🔍 Searching for competitors of ${target}...`);
-    const searchResults = await this.mcp.webSearch({
+    const searchResults = await this.search({
       query: `${target} competitors alternatives`,
       limit
-    });
+    }, context);
 
     phases.push({
       name: 'search',
@@ -505,10 +620,12 @@ class AIAgent extends EventEmitter {
     for (const competitor of searchResults.slice(0, limit)) {
       this.log(`   • ${competitor.title} (${competitor.environmentHint} complexity)`);
 
-      const result = await this.mcp.webScrape({
+      const result = await this.scrape({
         url: competitor.url,
         autoEscalate: true
-      });
+      }, context);
+
+      if (result.outcome === 'blocked_by_policy') continue;
 
       this.log(`     Execution: ${result.executionLevel}`);
 
@@ -539,10 +656,10 @@ class AIAgent extends EventEmitter {
       geoData[competitor.name] = {};
 
       for (const geo of geos) {
-        const result = await this.mcp.webScrape({
+        const result = await this.scrape({
           url: competitor.pricingUrl,
           geo
-        });
+        }, context);
 
         geoData[competitor.name][geo] = result.extractedData;
       }
@@ -581,10 +698,11 @@ class AIAgent extends EventEmitter {
       this.log(`   ${i + 1}. ${insight}`);
     });
 
-    return this.buildResult(task, phases, startTime, findings);
+    return this.buildResult(context, startTime, findings);
   }
 
-  async executePriceMonitoring(task, phases) {
+  async executePriceMonitoring(context) {
+    const { task, phases } = context;
     const startTime = Date.now();
     const { parameters } = task;
     const urls = parameters.urls || [];
@@ -596,7 +714,7 @@ class AIAgent extends EventEmitter {
     for (const url of urls) {
       prices[url] = {};
       for (const geo of geos) {
-        const result = await this.mcp.webScrape({ url, geo });
+        const result = await this.scrape({ url, geo }, context);
         prices[url][geo] = result.extractedData;
         this.log(`   ${url} [${geo}]: ${result.extractedData?.price || 'N/A'}`);
       }
@@ -610,21 +728,22 @@ class AIAgent extends EventEmitter {
       output: prices
     });
 
-    return this.buildResult(task, phases, startTime, prices);
+    return this.buildResult(context, startTime, prices);
   }
 
-  async executeContentAggregation(task, phases) {
+  async executeContentAggregation(context) {
+    const { task, phases } = context;
     const startTime = Date.now();
     const { target, parameters } = task;
     const limit = parameters.limit || 10;
 
     this.log(`📰 Aggregating content about "${target}"...`);
 
-    const searchResults = await this.mcp.webSearch({ query: target, limit });
+    const searchResults = await this.search({ query: target, limit }, context);
     const content = [];
 
     for (const result of searchResults.slice(0, 5)) {
-      const scrapeResult = await this.mcp.webScrape({ url: result.url });
+      const scrapeResult = await this.scrape({ url: result.url }, context);
       content.push({
         title: result.title,
         url: result.url,
@@ -642,7 +761,39 @@ class AIAgent extends EventEmitter {
       output: content
     });
 
-    return this.buildResult(task, phases, startTime, { articles: content });
+    return this.buildResult(context, startTime, { articles: content });
+  }
+
+  /**
+   * Search through MCP, honouring the task's cancellation signal
+   */
+  async search(options, context) {
+    throwIfAborted(context.signal);
+    return this.mcp.webSearch({ ...options, signal: context.signal || undefined });
+  }
+
+  /**
+   * Scrape through MCP unless robots.txt disallows the URL
+   */
+  async scrape(options, context) {
+    throwIfAborted(context.signal);
+
+    if (this.robots && context.task.parameters?.robots !== false) {
+      const decision = await this.robots.check(options.url);
+      if (!decision.allowed) {
+        context.skipped.push({ url: options.url, reason: decision.reason, rule: decision.rule });
+        this.log(`   ⛔ Skipped ${options.url} (${decision.reason})`);
+        return {
+          success: false,
+          outcome: 'blocked_by_policy',
+          url: options.url,
+          content: '',
+          policy: decision
+        };
+      }
+    }
+
+    return this.mcp.webScrape({ ...options, signal: context.signal || undefined });
   }
 
   analyzeFindings(competitors, geoData) {
@@ -667,12 +818,13 @@ class AIAgent extends EventEmitter {
     };
   }
 
-  buildResult(task, phases, startTime, findings) {
+  buildResult({ task, phases, skipped }, startTime, findings) {
     return {
       success: phases.every(p => p.success),
       task,
       phases,
       findings,
+      skipped: [...skipped],
       totalCost: phases.reduce((sum, p) => sum + p.cost, 0),
       totalDuration: Date.now() - startTime
     };
@@ -50,6 +50,11 @@ const { EventEmitter } = require('events');
  * monitor.on('environment-change', (change) => console.log(change));
  *
  * monitor.start();
+ *
+ * Pass `executor` (an HttpExecutor, BrowserExecutor or function) to check real
+ * pages - for example ones replayed from a cassette - instead of simulated ones.
+ * A target with `robots: false` skips the executor's robots.txt check; targets
+ * robots.txt disallows are reported with status 'skipped'.
  */
 class EnvironmentMonitor extends EventEmitter {
   constructor(config) {
@@ -59,7 +64,8 @@ class EnvironmentMonitor extends EventEmitter {
       targets: config.targets || [],
       checkInterval: config.checkInterval || 3600000,  // 1 hour
       geos: config.geos || ['us'],
-      retentionDays: config.retentionDays || 7
+      retentionDays: config.retentionDays || 7,
+      executor: config.executor || null
     };
 
     this.checkHistory = new Map();
@@ -114,8 +120,8 @@ class EnvironmentMonitor extends EventEmitter {
       // Store in history
       this.addToHistory(target.url, check);
 
-      // Compare with baseline
-      const changes = this.detectChanges(target.url, check);
+      // Compare with baseline (skipped targets have nothing to compare)
+      const changes = check.status === 'skipped' ? [] : this.detectChanges(target.url, check);
       for (const change of changes) {
         this.emit('environment-change', change);
       }
@@ -136,8 +142,27 @@ class EnvironmentMonitor extends EventEmitter {
     const selectorMatches = {};
 
     try {
-      // Simulate execution (in production, use actual executor)
-      const result = await this.simulateExecution(target);
+      // Use the configured executor, or simulate for the demo
+      const result = this.config.executor
+        ? await this.executeTarget(target)
+        : await this.simulateExecution(target);
+
+      if (result.blockedByPolicy) {
+        return {
+          url: target.url,
+          timestamp: new Date(),
+          status: 'skipped',
+          responseTime: Date.now() - startTime,
+          executionLevel: null,
+          contentLength: 0,
+          selectorMatches,
+          issues: [{
+            type: 'blocked_by_policy',
+            severity: 'info',
+            message: result.reason
+          }]
+        };
+      }
       const responseTime = Date.now() - startTime;
 
       // Check response time
@@ -255,6 +280,31 @@ class EnvironmentMonitor extends EventEmitter {
   // Private Methods
   // ═══════════════════════════════════════════════════════════════════════════
 
+  async executeTarget(target) {
+    const executor = this.config.executor;
+    const options = { geo: target.geo, robots: target.robots };
+
+    let result;
+    if (typeof executor === 'function') result = await executor(target.url, options);
+    else if (executor.fetch) result = await executor.fetch(target.url, options);
+    else result = await executor.execute(target.url, options);
+
+    if (result.outcome === 'blocked_by_policy') {
+      return { blockedByPolicy: true, reason: result.error };
+    }
+
+    if (!result.success) {
+      throw new Error(result.error || `Execution failed for ${target.url}`);
+    }
+
+    const html = result.html ?? result.body ?? '';
+    return {
+      html,
+      executionLevel: result.executionLevel || (executor.fetch ? 'http' : 'browser-light'),
+      contentLength: result.contentLength ?? html.length
+    };
+  }
+
   async simulateExecution(target) {
     await this.delay(500 + Math.random() * 1000);
 
@@ -435,7 +485,7 @@ class AlertingSystem extends EventEmitter {
   }
 
   /**
-   * Pipe events from a monitor to this alerting system
+   * Pipe events from a monitor, circuit breaker or budget to this alerting system
    */
   pipe(source) {
     source.on('health-check', (check) => {
@@ -455,6 +505,28 @@ class AlertingSystem extends EventEmitter {
         data: change
       });
     });
+
+    for (const type of ['circuit-open', 'circuit-close']) {
+      source.on(type, (circuit) => {
+        this.processEvent({
+          type,
+          source: circuit.host,
+          timestamp: circuit.timestamp,
+          data: circuit
+        });
+      });
+    }
+
+    for (const type of ['budget-soft-limit', 'budget-hard-limit']) {
+      source.on(type, (crossing) => {
+        this.processEvent({
+          type,
+          source: crossing.key,
+          timestamp: crossing.timestamp,
+          data: crossing
+        });
+      });
+    }
   }
 
   /**
@@ -656,6 +728,51 @@ const defaultAlertRules = [
         .map(([geo]) => geo);
       return `Geographic mismatch on ${event.data.url} for regions: ${mismatches.join(', ')}`;
     }
+  },
+  {
+    name: 'Circuit Open',
+    condition: (event) => event.type === 'circuit-open',
+    severity: 'critical',
+    channels: ['console', 'slack'],
+    message: (event) => {
+      const circuit = event.data;
+      return `Circuit opened for ${circuit.host}: ${(circuit.failureRate * 100).toFixed(0)}% of ` +
+        `${circuit.requests} recent requests failed (${circuit.reason}). Paused until ${circuit.retryAt.toISOString()}`;
+    }
+  },
+  {
+    name: 'Circuit Closed',
+    condition: (event) => event.type === 'circuit-close',
+    severity: 'info',
+    channels: ['console'],
+    message: (event) => {
+      const minutes = Math.round(event.data.openDuration / 60000);
+      return `Circuit closed for ${event.data.host} - host recovered after ${minutes} min`;
+    }
+  },
+  {
+    name: 'Budget Soft Limit',
+    condition: (event) => event.type === 'budget-soft-limit',
+    severity: 'warning',
+    channels: ['console', 'slack'],
+    message: (event) => {
+      const { scope, key, cap, spent } = event.data;
+      return `Soft budget limit reached for ${scope === 'run' ? 'the run' : `${scope} ${key}`}: ` +
+        `$${spent.toFixed(4)} of $${cap} - ` +
+        'expensive levels are restricted';
+    }
+  },
+  {
+    name: 'Budget Hard Limit',
+    condition: (event) => event.type === 'budget-hard-limit',
+    severity: 'critical',
+    channels: ['console', 'slack'],
+    message: (event) => {
+      const { scope, key, cap, spent } = event.data;
+      return `Hard budget limit reached for ${scope === 'run' ? 'the run' : `${scope} ${key}`}: ` +
+        `$${spent.toFixed(4)} of $${cap} - ` +
+        'executions are refused';
+    }
   }
 ];
 
@@ -0,0 +1,314 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: BUDGETS
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Cost tracking tells you what a run spent once it is over. A budget is
+ * checked before each execution so a runaway job stops spending:
+ *
+ * SCOPES (each with an optional soft and hard cap, in dollars):
+ * - run:    Everything this Budget instance has seen (reset() starts a new run)
+ * - day:    Spend per calendar day (UTC)
+ * - domain: Spend per target domain; `domains` overrides caps per domain
+ * - level:  Spend per execution level, e.g. { 'browser-advanced': { hard: 20 } }
+ *
+ * ENFORCEMENT:
+ * - hard: An execution that would go over is refused with BudgetExceededError
+ * - soft: Execution continues, but the expensive `restrictedLevels`
+ *         (browser-advanced by default) are refused - EscalationHandler stops
+ *         escalating into them and MCPClient downgrades to browser-light
+ *
+ * Executors reserve() an execution's estimated cost when it is checked and
+ * release the reservation once the actual cost is recorded. Hard caps count
+ * reservations, so concurrent workers cannot all pass the check on the same
+ * last dollar.
+ *
+ * Emits `budget-soft-limit` and `budget-hard-limit` the first time spend in a
+ * scope crosses a cap (or an execution is refused for crossing the hard one);
+ * pipe the budget into AlertingSystem to get notified.
+ */
+
+const { EventEmitter } = require('events');
+
+const SCOPES = ['run', 'day', 'domain', 'level'];
+
+/**
+ * Raised when an execution would break a budget
+ */
+class BudgetExceededError extends Error {
+  constructor(decision) {
+    super(`Budget exceeded: ${decision.reason}`);
+    this.name = 'BudgetExceededError';
+    this.code = 'ERR_BUDGET_EXCEEDED';
+    this.decision = decision;
+    this.scope = decision.violation?.scope;
+    this.limit = decision.violation?.limit;
+  }
+}
+
+/**
+ * Soft and hard spending caps shared by every executor
+ *
+ * @example
+ * const budget = new Budget({
+ *   run: { soft: 8, hard: 10 },
+ *   day: { hard: 50 },
+ *   domain: { hard: 2 },
+ *   level: { 'browser-advanced': { soft: 3, hard: 5 } }
+ * });
+ *
+ * const http = new HttpExecutor({ budget });
+ * const browser = new BrowserExecutor({ budget, level: 'advanced' });
+ * const escalation = new EscalationHandler({ budget });
+ * alerting.pipe(budget);
+ *
+ * try {
+ *   await http.fetch(url);
+ * } catch (error) {
+ *   if (error instanceof BudgetExceededError) console.log(error.scope, error.limit);
+ * }
+ */
+class Budget extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      run: config.run || {},
+      day: config.day || {},
+      // Caps for every domain, and per-domain overrides
+      domain: config.domain || {},
+      domains: config.domains || {},
+      level: config.level || {},
+      // Levels refused once any soft cap has been crossed
+      restrictedLevels: config.restrictedLevels || ['browser-advanced']
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Decide whether an execution fits the budget
+   *
+   * @param {Object} request - { url, level, estimatedCost }
+   * @returns {Object} { allowed, reason, violation, softLimits }
+   */
+  check({ url, level, estimatedCost = 0 } = {}) {
+    const scopes = this.getScopes(url, level);
+    const softLimits = [];
+
+    for (const { scope, key, caps, spent, reserved } of scopes) {
+      if (caps.hard !== undefined && spent + reserved + estimatedCost > caps.hard) {
+        const violation = { scope, key, limit: 'hard', cap: caps.hard, spent, reserved, estimatedCost };
+        return {
+          allowed: false,
+          reason: `${describeScope(scope, key)} would exceed its hard limit ` +
+            `($${(spent + reserved + estimatedCost).toFixed(4)} > $${caps.hard})`,
+          violation,
+          softLimits
+        };
+      }
+      if (caps.soft !== undefined && spent >= caps.soft) {
+        softLimits.push({ scope, key, limit: 'soft', cap: caps.soft, spent });
+      }
+    }
+
+    if (softLimits.length > 0 && this.config.restrictedLevels.includes(level)) {
+      const violation = softLimits[0];
+      return {
+        allowed: false,
+        reason: `${describeScope(violation.scope, violation.key)} is over its soft limit ` +
+          `($${violation.spent.toFixed(4)} >= $${violation.cap}) - ${level} is refused`,
+        violation,
+        softLimits
+      };
+    }
+
+    return { allowed: true, reason: null, violation: null, softLimits };
+  }
+
+  /**
+   * check(), throwing BudgetExceededError when the execution is refused
+   */
+  enforce(request) {
+    const decision = this.check(request);
+    if (!decision.allowed) {
+      const { scope, key, limit, cap, spent } = decision.violation;
+      if (limit === 'hard') this.emitCrossing(limit, scope, key, cap, spent);
+      throw new BudgetExceededError(decision);
+    }
+    return decision;
+  }
+
+  /**
+   * enforce(), then hold the estimated cost until the execution is recorded
+   *
+   * @returns {Function} Release function - call once the actual cost is recorded
+   * @throws {BudgetExceededError} When the execution is refused
+   */
+  reserve(request) {
+    this.enforce(request);
+
+    const amount = request.estimatedCost || 0;
+    const keys = this.getScopes(request.url, request.level).map(({ scope, key }) => ({ scope, key }));
+    this.addReserved(keys, amount);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.addReserved(keys, -amount);
+    };
+  }
+
+  /**
+   * Add what an execution actually cost
+   */
+  record({ url, level, cost = 0 } = {}) {
+    if (!cost) return;
+
+    for (const { scope, key, caps, spent, bucket } of this.getScopes(url, level)) {
+      const total = spent + cost;
+      if (bucket) bucket.set(key, total);
+      else this.spent.run = total;
+
+      for (const limit of ['soft', 'hard']) {
+        const cap = caps[limit];
+        if (cap !== undefined && spent < cap && total >= cap) {
+          this.emitCrossing(limit, scope, key, cap, total);
+        }
+      }
+    }
+  }
+
+  /**
+   * Spend and caps per scope
+   */
+  getStatus() {
+    const status = {
+      run: { spent: this.spent.run, reserved: this.reserved.run, ...this.config.run },
+      day: {},
+      domain: {},
+      level: {}
+    };
+    for (const [day, spent] of this.spent.day) {
+      status.day[day] = { spent, ...this.config.day };
+    }
+    for (const [domain, spent] of this.spent.domain) {
+      status.domain[domain] = { spent, ...this.getDomainCaps(domain) };
+    }
+    for (const [level, spent] of this.spent.level) {
+      status.level[level] = { spent, ...this.config.level[level] };
+    }
+    return status;
+  }
+
+  /**
+   * Start a new run; daily spend is kept unless `all` is set
+   */
+  reset(all = false) {
+    this.spent = {
+      run: 0,
+      day: all || !this.spent ? new Map() : this.spent.day,
+      domain: new Map(),
+      level: new Map()
+    };
+    this.crossed = new Set([...(this.crossed || [])].filter(key => !all && key.includes(':day:')));
+    // Executions in flight keep what they reserved
+    this.reserved = this.reserved || { run: 0, day: new Map(), domain: new Map(), level: new Map() };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  getScopes(url, level) {
+    const scopes = [{ scope: 'run', key: 'run', caps: this.config.run, spent: this.spent.run, reserved: this.reserved.run }];
+
+    const day = new Date().toISOString().slice(0, 10);
+    scopes.push({
+      scope: 'day',
+      key: day,
+      caps: this.config.day,
+      spent: this.spent.day.get(day) || 0,
+      reserved: this.reserved.day.get(day) || 0,
+      bucket: this.spent.day
+    });
+
+    if (url) {
+      const domain = getDomain(url);
+      scopes.push({
+        scope: 'domain',
+        key: domain,
+        caps: this.getDomainCaps(domain),
+        spent: this.spent.domain.get(domain) || 0,
+        reserved: this.reserved.domain.get(domain) || 0,
+        bucket: this.spent.domain
+      });
+    }
+
+    if (level) {
+      scopes.push({
+        scope: 'level',
+        key: level,
+        caps: this.config.level[level] || {},
+        spent: this.spent.level.get(level) || 0,
+        reserved: this.reserved.level.get(level) || 0,
+        bucket: this.spent.level
+      });
+    }
+
+    return scopes;
+  }
+
+  addReserved(keys, amount) {
+    for (const { scope, key } of keys) {
+      if (scope === 'run') {
+        this.reserved.run = Math.max(0, this.reserved.run + amount);
+        continue;
+      }
+      const total = (this.reserved[scope].get(key) || 0) + amount;
+      if (total > 1e-12) this.reserved[scope].set(key, total);
+      else this.reserved[scope].delete(key);
+    }
+  }
+
+  // Each cap is announced once per scope key
+  emitCrossing(limit, scope, key, cap, spent) {
+    const crossKey = `${limit}:${scope}:${key}`;
+    if (this.crossed.has(crossKey)) return;
+    this.crossed.add(crossKey);
+    this.emit(`budget-${limit}-limit`, { scope, key, limit, cap, spent, timestamp: new Date() });
+  }
+
+  getDomainCaps(domain) {
+    return { ...this.config.domain, ...this.config.domains[domain] };
+  }
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return String(url).toLowerCase();
+  }
+}
+
+function describeScope(scope, key) {
+  return scope === 'run' ? 'Run budget' : `${scope[0].toUpperCase()}${scope.slice(1)} budget for ${key}`;
+}
+
+/**
+ * Accept a Budget instance or its config object
+ */
+function resolveBudget(budget) {
+  if (!budget) return null;
+  return budget instanceof Budget ? budget : new Budget(budget);
+}
+
+module.exports = {
+  Budget,
+  BudgetExceededError,
+  BUDGET_SCOPES: SCOPES,
+  resolveBudget,
+  createBudget: (config) => new Budget(config)
+};
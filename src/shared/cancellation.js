@@ -0,0 +1,89 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: CANCELLATION
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every public execution method accepts a standard AbortSignal as
+ * `options.signal`. Job runners use it to kill stuck work when a deadline
+ * passes:
+ *
+ *   const result = await executor.fetch(url, { signal: AbortSignal.timeout(60000) });
+ *   if (result.outcome === 'cancelled') console.log(result.cancelReason);
+ *
+ * Cancelling never throws out of an executor - it returns a result with
+ * `success: false` and `outcome: 'cancelled'`. Internally, waits that observe
+ * a signal reject with CancelledError so the executor can unwind and clean up
+ * (close pages, release host slots) before building that result.
+ */
+
+/**
+ * Raised internally when an operation is aborted
+ */
+class CancelledError extends Error {
+  constructor(reason) {
+    super(`Cancelled: ${reason}`);
+    this.name = 'CancelledError';
+    this.code = 'ERR_CANCELLED';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Human-readable reason a signal was aborted with
+ */
+function getAbortReason(signal) {
+  const reason = signal?.reason;
+  if (reason === undefined || reason === null) return 'aborted';
+  if (typeof reason === 'string') return reason;
+  return reason.message || reason.name || String(reason);
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError(getAbortReason(signal));
+  }
+}
+
+/**
+ * setTimeout that rejects with CancelledError as soon as `signal` aborts
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError(getAbortReason(signal)));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError(getAbortReason(signal)));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `callback` if `signal` aborts; returns a function that stops listening
+ */
+function onAbort(signal, callback) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    callback();
+    return () => {};
+  }
+  signal.addEventListener('abort', callback, { once: true });
+  return () => signal.removeEventListener('abort', callback);
+}
+
+module.exports = {
+  CancelledError,
+  getAbortReason,
+  throwIfAborted,
+  abortableDelay,
+  onAbort
+};
@@ -0,0 +1,170 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: RECORD / REPLAY CASSETTES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Cassettes capture every request/response an executor makes and store them on
+ * disk, so a pipeline can later be replayed without touching Bright Data.
+ *
+ * MODES:
+ * - off:    Pass-through, nothing is captured (default)
+ * - record: Execute live and append every exchange to the cassette
+ * - replay: Serve exchanges from the cassette - no network, no cost
+ *
+ * Replay is deterministic: exchanges for the same request are served back in
+ * the order they were recorded (the last one repeats once they run out), and
+ * recorded timings are reported instead of wall-clock time.
+ *
+ * FILE FORMAT:
+ * {dir}/{name}.json → { name, version, recordedAt, entries: [{ key, request, response, timing }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Raised in replay mode when a request has no recorded exchange
+ */
+class CassetteMissError extends Error {
+  constructor(key) {
+    super(`No cassette entry for ${key}`);
+    this.name = 'CassetteMissError';
+    this.key = key;
+  }
+}
+
+/**
+ * On-disk store of recorded executor exchanges
+ *
+ * @example
+ * const cassette = new Cassette({ name: 'pricing-pages', mode: 'record' });
+ * const executor = new HttpExecutor({ cassette });
+ * await executor.fetch('https://example.com/pricing', { geo: 'us' });
+ *
+ * // Later, in CI:
+ * const replay = new HttpExecutor({ cassette: { name: 'pricing-pages', mode: 'replay' } });
+ */
+class Cassette {
+  constructor(config = {}) {
+    this.config = {
+      name: config.name || 'default',
+      dir: config.dir || process.env.CASSETTE_DIR || 'cassettes',
+      mode: config.mode || process.env.CASSETTE_MODE || 'off'
+    };
+
+    this.entries = [];
+    this.loaded = false;
+    this.playCounts = new Map();
+    this.pendingSave = Promise.resolve();
+  }
+
+  get filePath() {
+    return path.join(this.config.dir, `${this.config.name}.json`);
+  }
+
+  isRecording() {
+    return this.config.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.config.mode === 'replay';
+  }
+
+  /**
+   * Record one exchange and persist the cassette
+   *
+   * @param {Object} request - { executor, method, url, geo }
+   * @param {Object} response - Executor-specific response snapshot
+   * @param {Object} timing - { duration }
+   */
+  async record(request, response, timing = {}) {
+    await this.load();
+
+    this.entries.push({
+      key: this.buildKey(request),
+      request,
+      response,
+      timing,
+      recordedAt: new Date().toISOString()
+    });
+
+    return this.save();
+  }
+
+  /**
+   * Return the next recorded exchange for a request
+   */
+  async replay(request) {
+    await this.load();
+
+    const key = this.buildKey(request);
+    const matches = this.entries.filter(e => e.key === key);
+    if (matches.length === 0) {
+      throw new CassetteMissError(key);
+    }
+
+    const played = this.playCounts.get(key) || 0;
+    this.playCounts.set(key, played + 1);
+
+    return matches[Math.min(played, matches.length - 1)];
+  }
+
+  /**
+   * Start replaying every request from its first recorded exchange again
+   */
+  rewind() {
+    this.playCounts.clear();
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      this.entries = [...(data.entries || []), ...this.entries];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  save() {
+    // Each save rewrites the whole cassette, so they run one after another
+    const write = this.pendingSave.then(async () => {
+      await fs.promises.mkdir(this.config.dir, { recursive: true });
+      await fs.promises.writeFile(this.filePath, JSON.stringify({
+        name: this.config.name,
+        version: 1,
+        recordedAt: new Date().toISOString(),
+        entries: this.entries
+      }, null, 2));
+    });
+
+    // The recording caller sees its failed write; later saves still run
+    this.pendingSave = write.catch(() => {});
+    return write;
+  }
+
+  buildKey(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    const geo = request.geo ? ` [${request.geo.toLowerCase()}]` : '';
+    // Requests with a body (POST search, GraphQL) are told apart by its hash
+    const body = request.bodyHash ? ` #${request.bodyHash}` : '';
+    return `${request.executor}:${method} ${request.url}${geo}${body}`;
+  }
+}
+
+/**
+ * Accept either a Cassette instance or its config object
+ */
+function resolveCassette(cassette) {
+  if (!cassette) return null;
+  return cassette instanceof Cassette ? cassette : new Cassette(cassette);
+}
+
+module.exports = {
+  Cassette,
+  CassetteMissError,
+  resolveCassette,
+  createCassette: (config) => new Cassette(config)
+};
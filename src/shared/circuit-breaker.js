@@ -0,0 +1,262 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: PER-HOST CIRCUIT BREAKER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * When a target goes down, every URL on it burns through its retries and then
+ * escalates to the browser levels - multiplying cost on a host that cannot
+ * answer. The circuit breaker tracks recent outcomes per host and stops
+ * sending work there once it is clearly failing:
+ *
+ *   closed ──(failure rate ≥ threshold)──► open ──(cool-down)──► half-open
+ *     ▲                                     ▲                       │
+ *     └──────────(trial succeeds)───────────┼───────────────────────┤
+ *                                           └───(trial fails)───────┘
+ *
+ * - closed:    Requests flow; outcomes fill a sliding window per host
+ * - open:      Requests are refused without spending money
+ * - half-open: One trial request is let through to probe the host
+ *
+ * Only host failures count: connection errors, timeouts and 5xx responses.
+ * Blocks and 4xx mean the host is up, so they count as successes here.
+ *
+ * Emits `circuit-open`, `circuit-half-open` and `circuit-close`; pipe the
+ * breaker into AlertingSystem to get notified.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Per-host circuit breaker shared by all executors
+ *
+ * @example
+ * const breaker = new CircuitBreaker({ failureRateThreshold: 0.5, coolDown: 60000 });
+ * const http = new HttpExecutor({ circuitBreaker: breaker });
+ * const browser = new BrowserExecutor({ circuitBreaker: breaker });
+ * const escalation = new EscalationHandler({ circuitBreaker: breaker });
+ *
+ * alerting.pipe(breaker);
+ *
+ * const result = await http.fetch(url);
+ * if (result.outcome === 'circuit_open') console.log(result.circuit.retryAt);
+ */
+class CircuitBreaker extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      // Open once this share of recent requests to a host failed
+      failureRateThreshold: config.failureRateThreshold || 0.5,
+      // ...but only after seeing at least this many
+      minimumRequests: config.minimumRequests || 5,
+      // Number of recent outcomes remembered per host
+      windowSize: config.windowSize || 20,
+      // How long a circuit stays open before a trial request is allowed
+      coolDown: config.coolDown || 60000
+    };
+
+    this.hosts = new Map();
+  }
+
+  /**
+   * Decide whether a request to the URL's host may go ahead
+   *
+   * @returns {Object} { allowed, state, host, failureRate, retryAt }
+   */
+  check(url) {
+    const host = this.getHost(url);
+    const state = this.getHostState(host);
+    const now = Date.now();
+
+    if (state.state === 'open' && now >= state.openedAt + this.config.coolDown) {
+      this.transition(host, state, 'half-open');
+    }
+
+    if (state.state === 'half-open') {
+      // One trial at a time; a trial that never reported back expires
+      const trialPending = state.trialStartedAt && now - state.trialStartedAt < this.config.coolDown;
+      if (!trialPending) {
+        state.trialStartedAt = now;
+        return this.buildDecision(host, state, true);
+      }
+      return this.buildDecision(host, state, false);
+    }
+
+    return this.buildDecision(host, state, state.state === 'closed');
+  }
+
+  /**
+   * Like check(), but without starting a half-open trial - for callers that
+   * only decide whether to hand work to an executor that checks again itself
+   */
+  peek(url) {
+    const host = this.getHost(url);
+    const state = this.getHostState(host);
+    const now = Date.now();
+
+    let allowed = state.state === 'closed';
+    if (state.state === 'open') {
+      allowed = now >= state.openedAt + this.config.coolDown;
+    } else if (state.state === 'half-open') {
+      allowed = !state.trialStartedAt || now - state.trialStartedAt >= this.config.coolDown;
+    }
+
+    return this.buildDecision(host, state, allowed);
+  }
+
+  /**
+   * Record a request the host answered
+   */
+  recordSuccess(url) {
+    const host = this.getHost(url);
+    const state = this.getHostState(host);
+
+    if (state.state === 'half-open') {
+      this.transition(host, state, 'closed');
+      return;
+    }
+
+    this.pushOutcome(state, true);
+  }
+
+  /**
+   * Record a request the host failed to answer
+   */
+  recordFailure(url, reason) {
+    const host = this.getHost(url);
+    const state = this.getHostState(host);
+    state.lastFailure = { reason, timestamp: new Date() };
+
+    if (state.state === 'half-open') {
+      this.transition(host, state, 'open', reason);
+      return;
+    }
+
+    this.pushOutcome(state, false);
+
+    const failureRate = this.getFailureRate(state);
+    if (state.state === 'closed' &&
+        state.outcomes.length >= this.config.minimumRequests &&
+        failureRate >= this.config.failureRateThreshold) {
+      this.transition(host, state, 'open', reason);
+    }
+  }
+
+  /**
+   * Current state of the URL's host: 'closed', 'open' or 'half-open'
+   */
+  getState(url) {
+    const state = this.hosts.get(this.getHost(url));
+    return state ? state.state : 'closed';
+  }
+
+  /**
+   * Snapshot of every tracked host
+   */
+  getStats() {
+    const stats = {};
+    for (const [host, state] of this.hosts) {
+      stats[host] = {
+        state: state.state,
+        requests: state.outcomes.length,
+        failureRate: this.getFailureRate(state),
+        openedAt: state.openedAt ? new Date(state.openedAt) : null,
+        lastFailure: state.lastFailure
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Close one host's circuit (or all of them) and forget its history
+   */
+  reset(url) {
+    if (url) {
+      this.hosts.delete(this.getHost(url));
+    } else {
+      this.hosts.clear();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return String(url).toLowerCase();
+    }
+  }
+
+  getHostState(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      state = {
+        state: 'closed',
+        outcomes: [],
+        openedAt: null,
+        trialStartedAt: null,
+        lastFailure: null
+      };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+
+  pushOutcome(state, success) {
+    state.outcomes.push(success);
+    if (state.outcomes.length > this.config.windowSize) {
+      state.outcomes.shift();
+    }
+  }
+
+  getFailureRate(state) {
+    if (state.outcomes.length === 0) return 0;
+    return state.outcomes.filter(success => !success).length / state.outcomes.length;
+  }
+
+  transition(host, state, next, reason) {
+    const previous = state.state;
+    const failureRate = this.getFailureRate(state);
+    const openDuration = state.openedAt ? Date.now() - state.openedAt : 0;
+    state.state = next;
+    state.trialStartedAt = null;
+
+    if (next === 'open') {
+      state.openedAt = Date.now();
+      this.emit('circuit-open', {
+        host,
+        previousState: previous,
+        failureRate,
+        requests: state.outcomes.length,
+        reason,
+        retryAt: new Date(state.openedAt + this.config.coolDown),
+        timestamp: new Date()
+      });
+    } else if (next === 'half-open') {
+      this.emit('circuit-half-open', { host, timestamp: new Date() });
+    } else {
+      state.outcomes = [];
+      state.openedAt = null;
+      this.emit('circuit-close', { host, openDuration, timestamp: new Date() });
+    }
+  }
+
+  buildDecision(host, state, allowed) {
+    return {
+      allowed,
+      state: state.state,
+      host,
+      failureRate: this.getFailureRate(state),
+      retryAt: state.openedAt ? new Date(state.openedAt + this.config.coolDown) : null,
+      lastFailure: state.lastFailure
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  createCircuitBreaker: (config) => new CircuitBreaker(config)
+};
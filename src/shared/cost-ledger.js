@@ -0,0 +1,422 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: COST LEDGER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * CostTracker keeps its records in memory; they are gone when the process
+ * exits. The ledger appends every priced execution to disk so a month of runs
+ * can be reconciled against the Bright Data invoice.
+ *
+ * Each entry is tagged with what finance asks about:
+ *
+ *   { id, timestamp, jobId, domain, url, geo, level, executor, zone,
+ *     cost, currency, pricingVersion, bytes, cacheHit }
+ *
+ * BACKENDS:
+ * - jsonl:  One JSON object per line; append-only and greppable (default)
+ * - sqlite: Indexed table, for ledgers too large to scan. Uses node:sqlite
+ *           (Node 22.5+) or the optional better-sqlite3 package
+ *
+ * A file ending in .db, .sqlite or .sqlite3 selects the SQLite backend.
+ *
+ * Writes are queued and never reject into the caller; flush() waits for them
+ * and rejects with the first write that failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+const LEDGER_COLUMNS = [
+  'id', 'timestamp', 'jobId', 'domain', 'url', 'geo', 'level', 'executor', 'zone',
+  'cost', 'currency', 'pricingVersion', 'bytes', 'cacheHit'
+];
+
+const SPEND_DIMENSIONS = {
+  day: entry => entry.timestamp.slice(0, 10),
+  domain: entry => entry.domain,
+  geo: entry => entry.geo,
+  job: entry => entry.jobId,
+  level: entry => entry.level,
+  executor: entry => entry.executor
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BACKENDS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Append-only JSON Lines file
+ */
+class JsonlLedgerBackend {
+  constructor(config = {}) {
+    this.file = config.file || path.join('.cache', 'cost-ledger.jsonl');
+  }
+
+  async append(entries) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+  }
+
+  /**
+   * Entries matching the filter, streamed so a large ledger is never held whole
+   */
+  async query(filter = {}) {
+    const entries = [];
+    const input = fs.createReadStream(this.file, { encoding: 'utf8' });
+    try {
+      for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line);
+        if (matchesFilter(entry, filter)) entries.push(entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return entries;
+  }
+
+  async close() {}
+}
+
+/**
+ * SQLite table with indexes on the columns reports group by
+ */
+class SqliteLedgerBackend {
+  constructor(config = {}) {
+    this.file = config.file || path.join('.cache', 'cost-ledger.db');
+    this.db = null;
+  }
+
+  async append(entries) {
+    const db = this.open();
+    const insert = db.prepare(
+      `INSERT OR REPLACE INTO cost_ledger (${SQL_COLUMNS.join(', ')}) ` +
+      `VALUES (${SQL_COLUMNS.map(() => '?').join(', ')})`
+    );
+
+    db.exec('BEGIN');
+    try {
+      for (const entry of entries) {
+        insert.run(...LEDGER_COLUMNS.map(column => toSqlValue(entry[column])));
+      }
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async query(filter = {}) {
+    const where = [];
+    const params = [];
+    for (const [key, column] of Object.entries(FILTER_COLUMNS)) {
+      if (filter[key] !== undefined) {
+        where.push(`${column} = ?`);
+        params.push(filter[key]);
+      }
+    }
+    if (filter.from) {
+      where.push('timestamp >= ?');
+      params.push(new Date(filter.from).toISOString());
+    }
+    if (filter.to) {
+      where.push('timestamp < ?');
+      params.push(new Date(filter.to).toISOString());
+    }
+
+    const rows = this.open()
+      .prepare(`SELECT * FROM cost_ledger${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY timestamp`)
+      .all(...params);
+    return rows.map(fromSqlRow);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  open() {
+    if (this.db) return this.db;
+
+    const Database = loadSqlite();
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cost_ledger (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        job_id TEXT,
+        domain TEXT,
+        url TEXT,
+        geo TEXT,
+        level TEXT,
+        executor TEXT,
+        zone TEXT,
+        cost REAL NOT NULL,
+        currency TEXT,
+        pricing_version TEXT,
+        bytes INTEGER,
+        cache_hit INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS cost_ledger_timestamp ON cost_ledger (timestamp);
+      CREATE INDEX IF NOT EXISTS cost_ledger_job ON cost_ledger (job_id);
+      CREATE INDEX IF NOT EXISTS cost_ledger_domain ON cost_ledger (domain);
+    `);
+    return this.db;
+  }
+}
+
+// entry field → column
+const SQL_COLUMNS = LEDGER_COLUMNS.map(column => column.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`));
+
+const FILTER_COLUMNS = {
+  jobId: 'job_id',
+  domain: 'domain',
+  geo: 'geo',
+  level: 'level',
+  executor: 'executor'
+};
+
+function toSqlValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function fromSqlRow(row) {
+  const entry = {};
+  LEDGER_COLUMNS.forEach((column, i) => {
+    entry[column] = row[SQL_COLUMNS[i]];
+  });
+  entry.cacheHit = !!entry.cacheHit;
+  return entry;
+}
+
+/**
+ * node:sqlite where the runtime has it, else the optional better-sqlite3
+ */
+function loadSqlite() {
+  try {
+    return require('node:sqlite').DatabaseSync;
+  } catch {
+    // Older Node, or node:sqlite behind a flag
+  }
+  try {
+    return require('better-sqlite3');
+  } catch {
+    throw new Error('The SQLite cost ledger needs Node 22.5+ (node:sqlite) or the optional better-sqlite3 package (npm install better-sqlite3)');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEDGER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Durable record of what every execution cost
+ *
+ * @example
+ * const ledger = new CostLedger({ file: 'ledger/costs.jsonl', jobId: 'nightly-prices' });
+ * const executor = new HttpExecutor({ ledger });
+ * const browser = new BrowserExecutor({ ledger });
+ *
+ * // At month end
+ * const march = { from: '2025-03-01', to: '2025-04-01' };
+ * console.table(await ledger.spendBy('domain', march));
+ * await ledger.exportCsv(march, { file: 'march.csv' });
+ */
+class CostLedger {
+  constructor(config = {}) {
+    this.config = {
+      file: config.file,
+      backend: config.backend || (/\.(db|sqlite3?)$/i.test(config.file || '') ? 'sqlite' : 'jsonl'),
+      // Tag for entries that do not name their own job
+      jobId: config.jobId || null
+    };
+
+    if (this.config.backend === 'jsonl') {
+      this.backend = new JsonlLedgerBackend({ file: this.config.file });
+    } else if (this.config.backend === 'sqlite') {
+      this.backend = new SqliteLedgerBackend({ file: this.config.file });
+    } else if (typeof this.config.backend === 'object') {
+      this.backend = this.config.backend;
+    } else {
+      throw new Error(`Unknown cost ledger backend "${this.config.backend}"`);
+    }
+
+    this.pendingWrite = Promise.resolve();
+    this.writeError = null;
+  }
+
+  /**
+   * Queue an entry for writing
+   *
+   * @param {Object} entry - { url, level, executor, cost, geo, jobId, zone, currency, pricingVersion, bytes, cacheHit }
+   * @returns {Object} The entry as it will be stored
+   */
+  append(entry) {
+    const stored = this.normalize(entry);
+
+    // Appends are queued in call order, so entries land in the order they were recorded
+    this.pendingWrite = this.pendingWrite
+      .then(() => this.backend.append([stored]))
+      .catch(error => {
+        this.writeError = this.writeError || error;
+      });
+
+    return stored;
+  }
+
+  /**
+   * Wait for queued writes
+   *
+   * @throws {Error} The first write that failed since the last flush
+   */
+  async flush() {
+    await this.pendingWrite;
+    if (this.writeError) {
+      const error = this.writeError;
+      this.writeError = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Stored entries, oldest first
+   *
+   * @param {Object} filter - { from, to, jobId, domain, geo, level, executor }
+   *   `from` is inclusive and `to` exclusive
+   */
+  async query(filter = {}) {
+    await this.flush();
+    const entries = await this.backend.query(filter);
+    return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Total spend grouped by 'day', 'domain', 'geo', 'job', 'level' or 'executor'
+   *
+   * Currencies are never added together: each currency gets its own row.
+   *
+   * @returns {Promise<Array<Object>>} { key, currency, total, count }
+   */
+  async spendBy(dimension, filter = {}) {
+    const keyOf = SPEND_DIMENSIONS[dimension];
+    if (!keyOf) {
+      throw new Error(`Unknown spend dimension "${dimension}" (expected ${Object.keys(SPEND_DIMENSIONS).join(', ')})`);
+    }
+
+    const groups = new Map();
+    for (const entry of await this.query(filter)) {
+      const key = keyOf(entry) ?? null;
+      const id = `${key}\u0000${entry.currency}`;
+      const group = groups.get(id) || { key, currency: entry.currency, total: 0, count: 0 };
+      group.total += entry.cost;
+      group.count++;
+      groups.set(id, group);
+    }
+
+    // Untagged entries (no geo, no job) sort last
+    return [...groups.values()].sort((a, b) =>
+      (a.key === null) - (b.key === null) ||
+      String(a.key).localeCompare(String(b.key)) ||
+      String(a.currency).localeCompare(String(b.currency))
+    );
+  }
+
+  /**
+   * Entries - or, with `groupBy`, spendBy() rows - as CSV
+   *
+   * @param {Object} filter - As for query()
+   * @param {Object} options - { groupBy, file } writes the CSV to `file` as well
+   * @returns {Promise<string>} The CSV text
+   */
+  async exportCsv(filter = {}, { groupBy, file } = {}) {
+    const csv = groupBy
+      ? toCsv(await this.spendBy(groupBy, filter), ['key', 'currency', 'total', 'count'])
+      : toCsv(await this.query(filter), LEDGER_COLUMNS);
+
+    if (file) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, csv);
+    }
+    return csv;
+  }
+
+  async close() {
+    await this.flush();
+    await this.backend.close();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  normalize(entry) {
+    return {
+      id: entry.id || crypto.randomUUID(),
+      timestamp: new Date(entry.timestamp || Date.now()).toISOString(),
+      jobId: entry.jobId || this.config.jobId,
+      domain: entry.domain || getDomain(entry.url),
+      url: entry.url || null,
+      geo: entry.geo ? entry.geo.toLowerCase() : null,
+      level: entry.level || null,
+      executor: entry.executor || null,
+      zone: entry.zone || null,
+      cost: entry.cost || 0,
+      currency: entry.currency || 'USD',
+      pricingVersion: entry.pricingVersion || null,
+      bytes: entry.bytes || 0,
+      cacheHit: !!entry.cacheHit
+    };
+  }
+}
+
+function matchesFilter(entry, filter) {
+  if (filter.from && entry.timestamp < new Date(filter.from).toISOString()) return false;
+  if (filter.to && entry.timestamp >= new Date(filter.to).toISOString()) return false;
+  for (const key of Object.keys(FILTER_COLUMNS)) {
+    if (filter[key] !== undefined && entry[key] !== filter[key]) return false;
+  }
+  return true;
+}
+
+function getDomain(url) {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Accept a CostLedger, its config object, or a file path
+ */
+function resolveCostLedger(ledger) {
+  if (!ledger) return null;
+  if (ledger instanceof CostLedger) return ledger;
+  return new CostLedger(typeof ledger === 'string' ? { file: ledger } : ledger);
+}
+
+module.exports = {
+  CostLedger,
+  JsonlLedgerBackend,
+  SqliteLedgerBackend,
+  LEDGER_COLUMNS,
+  resolveCostLedger,
+  createCostLedger: (config) => new CostLedger(config)
+};
@@ -0,0 +1,294 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: DOMAIN PROFILES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Protected domains stay protected between runs. Without memory, every run
+ * analyzes them again and pays for an HTTP attempt that is known to fail
+ * before escalating. A domain profile remembers, per domain:
+ *
+ * - analysis: The last EnvironmentAnalyzer result (reused until `ttl` passes)
+ * - levels:   How often each execution level succeeded or was blocked
+ *
+ * Outcome counts decay with a half-life, so a domain that dropped its
+ * protection a week ago is not stuck on the browser forever, and a level's
+ * history is forgotten entirely once it is older than `ttl` - which makes the
+ * cheaper level get probed again.
+ *
+ * START LEVEL:
+ * The cheapest level whose history is not dominated by failures. With no
+ * outcome history, a fresh analysis's recommendation is used instead.
+ *
+ * FILE FORMAT:
+ * {file} → { version, savedAt, profiles: { [domain]: { analysis, levels, updatedAt } } }
+ *
+ * Profiles are an optimisation, so a disk error never fails an execution: a
+ * file that cannot be read or parsed starts the store empty (`load-error`),
+ * and a failed write emits `save-error` and is thrown by flush().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const DEFAULT_LEVELS = ['http', 'browser-light', 'browser-advanced'];
+
+/**
+ * File-backed store of per-domain execution history
+ *
+ * @example
+ * const profiles = new DomainProfileStore({ file: '.cache/domain-profiles.json' });
+ * const analyzer = new EnvironmentAnalyzer({ profiles });
+ * const escalation = new EscalationHandler({ profiles });
+ *
+ * // Second run: starts at the level that worked last time
+ * const result = await escalation.executeWithEscalation(url, executors);
+ * console.log(result.startLevel, result.startReason); // 'browser-light', 'domain-history'
+ */
+class DomainProfileStore extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      // JSON file to persist to; null keeps profiles in memory only
+      file: config.file === undefined ? path.join('.cache', 'domain-profiles.json') : config.file,
+      // Analyses and level history older than this are ignored (ms)
+      ttl: config.ttl || 7 * 24 * 60 * 60 * 1000,
+      // Outcome counts halve over this period (ms)
+      halfLife: config.halfLife || 2 * 24 * 60 * 60 * 1000,
+      // A level is skipped once it has this much (decayed) failure evidence...
+      minFailures: config.minFailures || 0.5,
+      // ...and succeeds less often than this
+      minSuccessRate: config.minSuccessRate || 0.5,
+      levels: config.levels || DEFAULT_LEVELS
+    };
+
+    this.profiles = new Map();
+    this.loaded = false;
+    this.pendingSave = Promise.resolve();
+    this.saveError = null;
+  }
+
+  /**
+   * Profile for the URL's domain, with expired parts dropped
+   */
+  async getProfile(url) {
+    await this.load();
+    const profile = this.profiles.get(this.getDomain(url));
+    if (!profile) return null;
+
+    const now = Date.now();
+    const levels = {};
+    for (const [level, stats] of Object.entries(profile.levels)) {
+      if (now - stats.updatedAt < this.config.ttl) {
+        levels[level] = this.decay(stats, now);
+      }
+    }
+
+    const analysisFresh = profile.analysis && now - profile.analysis.recordedAt < this.config.ttl;
+
+    return {
+      domain: profile.domain,
+      analysis: analysisFresh ? profile.analysis : null,
+      levels,
+      updatedAt: new Date(profile.updatedAt)
+    };
+  }
+
+  /**
+   * Analysis recorded for the domain within the TTL, or null
+   */
+  async getAnalysis(url) {
+    const profile = await this.getProfile(url);
+    return profile?.analysis?.result || null;
+  }
+
+  async recordAnalysis(url, analysis) {
+    await this.load();
+    const profile = this.getOrCreate(url);
+    const { signals, scores, matches, complexity, recommendedExecution, confidence, details } = analysis;
+
+    profile.analysis = {
+      recordedAt: Date.now(),
+      result: { signals, scores, matches, complexity, recommendedExecution, confidence, details }
+    };
+    profile.updatedAt = Date.now();
+    return this.save();
+  }
+
+  /**
+   * Record whether a level got through on the URL's domain
+   */
+  async recordOutcome(url, level, success) {
+    await this.load();
+    const profile = this.getOrCreate(url);
+    const now = Date.now();
+
+    const previous = profile.levels[level];
+    const stats = previous && now - previous.updatedAt < this.config.ttl
+      ? this.decay(previous, now)
+      : { successes: 0, failures: 0, lastSuccessAt: null, lastFailureAt: null };
+
+    if (success) {
+      stats.successes += 1;
+      stats.lastSuccessAt = now;
+    } else {
+      stats.failures += 1;
+      stats.lastFailureAt = now;
+    }
+    stats.updatedAt = now;
+
+    profile.levels[level] = stats;
+    profile.updatedAt = now;
+    return this.save();
+  }
+
+  /**
+   * Cheapest level worth starting at for the URL's domain
+   *
+   * @returns {Object|null} { level, reason, stats } or null when nothing is
+   *   known; stats is null for a level with no history of its own
+   */
+  async getStartLevel(url, levels = this.config.levels) {
+    const profile = await this.getProfile(url);
+    if (!profile) return null;
+
+    const known = levels.filter(level => profile.levels[level]);
+    if (known.length > 0) {
+      const level = levels.find(l => !this.isFailing(profile.levels[l])) || levels[levels.length - 1];
+      return { level, reason: 'domain-history', stats: profile.levels[level] || null };
+    }
+
+    // 'http-embedded' runs on the http level, extracting the page's state blobs
+    const recommended = profile.analysis?.result.recommendedExecution?.replace(/^http-embedded$/, 'http');
+    if (recommended && levels.includes(recommended)) {
+      return { level: recommended, reason: 'domain-analysis', stats: null };
+    }
+    return null;
+  }
+
+  /**
+   * Forget one domain (or every domain)
+   */
+  async clear(url) {
+    await this.load();
+    if (url) {
+      this.profiles.delete(this.getDomain(url));
+    } else {
+      this.profiles.clear();
+    }
+    return this.save();
+  }
+
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!this.config.file) return;
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.config.file, 'utf8'));
+      for (const [domain, profile] of Object.entries(data.profiles || {})) {
+        if (!this.profiles.has(domain)) this.profiles.set(domain, profile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('load-error', { file: this.config.file, error });
+      }
+    }
+  }
+
+  /**
+   * Wait for queued saves
+   *
+   * @throws {Error} The first save that failed since the last flush
+   */
+  async flush() {
+    await this.pendingSave;
+    if (this.saveError) {
+      const error = this.saveError;
+      this.saveError = null;
+      throw error;
+    }
+  }
+
+  save() {
+    if (!this.config.file) return this.pendingSave;
+
+    // One whole-file rewrite at a time; a later save carries every change
+    this.pendingSave = this.pendingSave.then(async () => {
+      this.prune();
+      await fs.promises.mkdir(path.dirname(this.config.file), { recursive: true });
+      await fs.promises.writeFile(this.config.file, JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        profiles: Object.fromEntries(this.profiles)
+      }, null, 2));
+    }).catch(error => {
+      this.saveError = this.saveError || error;
+      this.emit('save-error', { file: this.config.file, error });
+    });
+
+    return this.pendingSave;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  getDomain(url) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      host = String(url);
+    }
+    return host.toLowerCase().replace(/^www\./, '');
+  }
+
+  getOrCreate(url) {
+    const domain = this.getDomain(url);
+    let profile = this.profiles.get(domain);
+    if (!profile) {
+      profile = { domain, analysis: null, levels: {}, updatedAt: Date.now() };
+      this.profiles.set(domain, profile);
+    }
+    return profile;
+  }
+
+  // Counts as they stand now, after halving once per half-life
+  decay(stats, now) {
+    const factor = Math.pow(0.5, (now - stats.updatedAt) / this.config.halfLife);
+    return {
+      ...stats,
+      successes: stats.successes * factor,
+      failures: stats.failures * factor
+    };
+  }
+
+  isFailing(stats) {
+    if (!stats || stats.failures < this.config.minFailures) return false;
+    return stats.successes / (stats.successes + stats.failures) < this.config.minSuccessRate;
+  }
+
+  // Drop profiles with nothing left inside the TTL
+  prune() {
+    const cutoff = Date.now() - this.config.ttl;
+    for (const [domain, profile] of this.profiles) {
+      if (profile.updatedAt < cutoff) this.profiles.delete(domain);
+    }
+  }
+}
+
+/**
+ * Accept a DomainProfileStore instance or its config object
+ */
+function resolveDomainProfiles(profiles) {
+  if (!profiles) return null;
+  return profiles instanceof DomainProfileStore ? profiles : new DomainProfileStore(profiles);
+}
+
+module.exports = {
+  DomainProfileStore,
+  resolveDomainProfiles,
+  createDomainProfileStore: (config) => new DomainProfileStore(config)
+};
@@ -0,0 +1,222 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: PER-HOST POLITENESS SCHEDULER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * A global worker count does not stop a batch of 500 URLs on one domain from
+ * hitting that domain at full concurrency - which is exactly what triggers
+ * rate-limit pages. The scheduler is shared by every executor and gates each
+ * request per host with:
+ *
+ * - Token bucket: sustained requests/second with a small burst allowance
+ * - Max in-flight: concurrent requests to the same host
+ * - Crawl delay: minimum gap between two dispatches to the same host
+ *
+ * Policies are configured per domain; a policy for `example.com` also applies
+ * to `www.example.com`. Hosts without a policy use the defaults.
+ */
+
+const { CancelledError, getAbortReason } = require('./cancellation');
+
+/**
+ * Shared per-host rate limiter
+ *
+ * @example
+ * const scheduler = new HostScheduler({
+ *   defaults: { ratePerSecond: 2, maxInFlight: 2 },
+ *   hosts: { 'amazon.com': { ratePerSecond: 0.5, maxInFlight: 1, crawlDelay: 2000 } }
+ * });
+ *
+ * const http = new HttpExecutor({ scheduler });
+ * const browser = new BrowserExecutor({ scheduler });
+ */
+class HostScheduler {
+  constructor(config = {}) {
+    this.config = {
+      defaults: {
+        ratePerSecond: 1,
+        burst: 1,
+        maxInFlight: 2,
+        crawlDelay: 0,
+        ...config.defaults
+      },
+      hosts: { ...config.hosts }
+    };
+
+    this.hosts = new Map();
+  }
+
+  /**
+   * Wait for a dispatch slot for the URL's host
+   *
+   * @param {string} url - Request URL
+   * @param {Object} options - { signal } to give up waiting (rejects with CancelledError)
+   * @returns {Promise<Function>} Release function - call once the request is done
+   */
+  acquire(url, options = {}) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+    const { signal } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new CancelledError(getAbortReason(signal)));
+        return;
+      }
+
+      const abort = () => {
+        const index = state.queue.indexOf(grant);
+        if (index !== -1) state.queue.splice(index, 1);
+        reject(new CancelledError(getAbortReason(signal)));
+      };
+      const grant = (release) => {
+        signal?.removeEventListener('abort', abort);
+        resolve(release);
+      };
+
+      signal?.addEventListener('abort', abort, { once: true });
+      state.queue.push(grant);
+      this.drain(host);
+    });
+  }
+
+  /**
+   * Run `fn` inside a dispatch slot for the URL's host
+   */
+  async schedule(url, fn) {
+    const release = await this.acquire(url);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Hold all dispatches to a host for `ms` (e.g. after a rate-limit response)
+   */
+  pause(url, ms) {
+    const host = this.getHost(url);
+    const state = this.getState(host);
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Override the policy for a domain at runtime (e.g. robots.txt Crawl-delay)
+   */
+  setHostPolicy(domain, policy) {
+    const key = domain.toLowerCase();
+    this.config.hosts[key] = { ...this.config.hosts[key], ...policy };
+
+    // Re-resolve policies already cached for matching hosts
+    for (const [host, state] of this.hosts) {
+      if (host === key || host.endsWith(`.${key}`)) {
+        state.policy = this.getPolicy(host);
+      }
+    }
+  }
+
+  getPolicy(host) {
+    const domain = Object.keys(this.config.hosts)
+      .filter(d => host === d || host.endsWith(`.${d}`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return { ...this.config.defaults, ...(domain ? this.config.hosts[domain] : {}) };
+  }
+
+  getStats(url) {
+    const state = this.hosts.get(this.getHost(url));
+    if (!state) return null;
+
+    return {
+      inFlight: state.inFlight,
+      queued: state.queue.length,
+      dispatched: state.dispatched
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return String(url).toLowerCase();
+    }
+  }
+
+  getState(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      const policy = this.getPolicy(host);
+      state = {
+        policy,
+        tokens: policy.burst,
+        lastRefill: Date.now(),
+        lastDispatch: 0,
+        pausedUntil: 0,
+        inFlight: 0,
+        dispatched: 0,
+        queue: [],
+        timer: null
+      };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+
+  drain(host) {
+    const state = this.hosts.get(host);
+
+    while (state.queue.length > 0) {
+      const { policy } = state;
+      if (state.inFlight >= policy.maxInFlight) return;
+
+      const now = Date.now();
+      this.refill(state, now);
+
+      const wait = Math.max(
+        state.tokens >= 1 ? 0 : ((1 - state.tokens) / policy.ratePerSecond) * 1000,
+        state.lastDispatch + policy.crawlDelay - now,
+        state.pausedUntil - now
+      );
+
+      if (wait > 0) {
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this.drain(host);
+          }, Math.ceil(wait));
+        }
+        return;
+      }
+
+      state.tokens -= 1;
+      state.inFlight++;
+      state.dispatched++;
+      state.lastDispatch = now;
+
+      const resolve = state.queue.shift();
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        state.inFlight--;
+        this.drain(host);
+      });
+    }
+  }
+
+  refill(state, now) {
+    const elapsed = (now - state.lastRefill) / 1000;
+    state.tokens = Math.min(state.policy.burst, state.tokens + elapsed * state.policy.ratePerSecond);
+    state.lastRefill = now;
+  }
+}
+
+module.exports = {
+  HostScheduler,
+  createHostScheduler: (config) => new HostScheduler(config)
+};
@@ -0,0 +1,34 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED UTILITIES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Building blocks used by more than one execution level. Each part of the
+ * workshop requires what it needs from here, never from another part.
+ */
+
+const budget = require('./budget');
+const cancellation = require('./cancellation');
+const cassette = require('./cassette');
+const circuitBreaker = require('./circuit-breaker');
+const costLedger = require('./cost-ledger');
+const domainProfiles = require('./domain-profiles');
+const hostScheduler = require('./host-scheduler');
+const pricing = require('./pricing');
+const proxyProvider = require('./proxy-provider');
+const robotsPolicy = require('./robots-policy');
+const softBlock = require('./soft-block');
+
+module.exports = {
+  ...budget,
+  ...cancellation,
+  ...cassette,
+  ...circuitBreaker,
+  ...costLedger,
+  ...domainProfiles,
+  ...hostScheduler,
+  ...pricing,
+  ...proxyProvider,
+  ...robotsPolicy,
+  ...softBlock
+};
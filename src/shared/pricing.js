@@ -0,0 +1,246 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: PRICING CATALOG
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * One price list for every cost calculator - CostTracker, BrowserExecutor and
+ * MCPClient all price through it, so an estimate and an invoice line agree.
+ *
+ * The catalog is versioned: each version has the date it took effect, and a
+ * cost is priced with the version in effect at `at` (default: now). Reports
+ * over past records pass the record's timestamp and get the rates that were
+ * valid then.
+ *
+ * PRODUCTS (execution levels, plus MCP's navigation and search):
+ *   { "billing": "per-request", "perRequest": 0.001, "perKB": 0.00001 }
+ *   { "billing": "bandwidth", "perGB": 8.4 }
+ *
+ * - per-request: perRequest for each request, plus perKB transferred if set
+ * - bandwidth:   Only bytes transferred are billed (perGB or perKB)
+ * - perStep:     Added per navigation step
+ *
+ * Geo premiums are charged per request. A version's `zones` override products,
+ * geo premiums or currency for one Bright Data zone:
+ *
+ *   "zones": { "unlocker_premium": { "products": { "http": { "perRequest": 0.0015 } } } }
+ *
+ * FILE FORMAT (see pricing.json):
+ * { currency, versions: [{ version, effectiveFrom, currency?, products, geoPremiums, zones }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRICING_FILE = path.join(__dirname, 'pricing.json');
+
+const BILLING_MODELS = ['per-request', 'bandwidth'];
+
+const KB_PER_GB = 1024 * 1024;
+
+/**
+ * Versioned price list
+ *
+ * @example
+ * const pricing = PricingCatalog.fromFile('./pricing.json');
+ *
+ * pricing.price('http', { geo: 'uk', bytes: 48000 });
+ * // { product: 'http', baseCost: 0.001, dataCost: 0.00047, geoPremium: 0.002, totalCost: 0.00347,
+ * //   currency: 'USD', pricingVersion: '2024-01', ... }
+ *
+ * // What a record from last March cost at last March's rates
+ * pricing.price(record.level, { ...record.details, at: record.timestamp });
+ */
+class PricingCatalog {
+  /**
+   * @param {Object} catalog - { currency, versions } (defaults to pricing.json)
+   */
+  constructor(catalog) {
+    this.load(catalog || PricingCatalog.readFile(DEFAULT_PRICING_FILE));
+  }
+
+  static fromFile(file) {
+    return new PricingCatalog(PricingCatalog.readFile(file));
+  }
+
+  static readFile(file) {
+    const catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!catalog || !Array.isArray(catalog.versions)) {
+      throw new Error(`Pricing file ${file} must contain a "versions" array`);
+    }
+    return catalog;
+  }
+
+  /**
+   * Replace the catalog
+   */
+  load(catalog) {
+    this.currency = catalog.currency || 'USD';
+    this.versions = (catalog.versions || [])
+      .map(version => this.compile(version))
+      .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+
+    if (this.versions.length === 0) {
+      throw new Error('Pricing catalog has no versions');
+    }
+    return this;
+  }
+
+  /**
+   * The version in effect at a date
+   *
+   * @throws {Error} When the date is before the first version
+   */
+  getVersion(at = new Date()) {
+    const time = new Date(at).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid pricing date: ${at}`);
+    }
+
+    let current = null;
+    for (const version of this.versions) {
+      if (version.effectiveFrom.getTime() > time) break;
+      current = version;
+    }
+    if (!current) {
+      throw new Error(`No pricing in effect on ${new Date(time).toISOString().slice(0, 10)}`);
+    }
+    return current;
+  }
+
+  /**
+   * Every version with the date it stopped applying
+   */
+  listVersions() {
+    return this.versions.map((version, i) => ({
+      version: version.version,
+      effectiveFrom: version.effectiveFrom,
+      effectiveTo: this.versions[i + 1]?.effectiveFrom || null,
+      currency: version.currency,
+      products: Object.keys(version.products)
+    }));
+  }
+
+  hasProduct(product, { at } = {}) {
+    return !!this.getVersion(at).products[product];
+  }
+
+  /**
+   * A product's rates, with the zone's overrides applied
+   *
+   * @returns {Object} { billing, perRequest, perKB, perStep, ..., geoPremiums, currency, pricingVersion }
+   */
+  getRates(product, { zone, at } = {}) {
+    const version = this.getVersion(at);
+    const base = version.products[product];
+    if (!base) {
+      throw new Error(`No price for "${product}" in pricing version ${version.version}`);
+    }
+
+    const override = (zone && version.zones[zone]) || {};
+    return {
+      ...base,
+      ...override.products?.[product],
+      geoPremiums: { ...version.geoPremiums, ...override.geoPremiums },
+      currency: override.currency || version.currency,
+      pricingVersion: version.version
+    };
+  }
+
+  /**
+   * Price one execution
+   *
+   * @param {string} product - 'http', 'browser-light', 'browser-advanced', 'navigation', 'search'
+   * @param {Object} usage - { zone, geo, bytes, requests, steps, results, at }
+   * @returns {Object} { product, billing, baseCost, dataCost, stepCost, geoPremium, totalCost, currency, pricingVersion }
+   */
+  price(product, { zone, geo, bytes = 0, requests, steps = 0, results, at } = {}) {
+    const rates = this.getRates(product, { zone, at });
+
+    // Search is billed per page of results
+    if (requests === undefined) {
+      requests = results !== undefined && rates.resultsPerRequest
+        ? Math.max(1, Math.ceil(results / rates.resultsPerRequest))
+        : 1;
+    }
+
+    const perKB = rates.perKB ?? (rates.perGB !== undefined ? rates.perGB / KB_PER_GB : 0);
+    const baseCost = rates.billing === 'bandwidth' ? 0 : (rates.perRequest || 0) * requests;
+    const dataCost = (bytes / 1024) * perKB;
+    const stepCost = (rates.perStep || 0) * steps;
+
+    const geoKey = geo ? geo.toLowerCase() : null;
+    const geoPremium = geoKey
+      ? (rates.geoPremiums[geoKey] ?? rates.geoPremiums.default ?? 0) * requests
+      : 0;
+
+    return {
+      product,
+      billing: rates.billing,
+      baseCost,
+      dataCost,
+      stepCost,
+      geoPremium,
+      totalCost: baseCost + dataCost + stepCost + geoPremium,
+      currency: rates.currency,
+      pricingVersion: rates.pricingVersion
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  compile(version) {
+    if (!version.version) {
+      throw new Error('Pricing version is missing "version"');
+    }
+    const effectiveFrom = new Date(version.effectiveFrom);
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      throw new Error(`Pricing version ${version.version} has an invalid effectiveFrom`);
+    }
+
+    const products = version.products || {};
+    const zoneProducts = Object.values(version.zones || {}).map(zone => zone.products || {});
+    for (const rates of [products, ...zoneProducts].flatMap(Object.values)) {
+      if (rates.billing && !BILLING_MODELS.includes(rates.billing)) {
+        throw new Error(`Pricing version ${version.version} has unknown billing "${rates.billing}"`);
+      }
+    }
+    for (const [product, rates] of Object.entries(products)) {
+      if (!rates.billing) {
+        throw new Error(`Pricing version ${version.version}: "${product}" is missing billing`);
+      }
+    }
+
+    return {
+      version: version.version,
+      effectiveFrom,
+      currency: version.currency || this.currency,
+      products,
+      geoPremiums: version.geoPremiums || {},
+      zones: version.zones || {}
+    };
+  }
+}
+
+let defaultPricing = null;
+
+/**
+ * Accept a PricingCatalog, a catalog object or a JSON file path; without one,
+ * the bundled pricing.json is shared by every caller
+ */
+function resolvePricing(pricing) {
+  if (pricing instanceof PricingCatalog) return pricing;
+  if (typeof pricing === 'string') return PricingCatalog.fromFile(pricing);
+  if (pricing) return new PricingCatalog(pricing);
+
+  if (!defaultPricing) defaultPricing = new PricingCatalog();
+  return defaultPricing;
+}
+
+module.exports = {
+  PricingCatalog,
+  DEFAULT_PRICING_FILE,
+  resolvePricing,
+  createPricingCatalog: (catalog) => new PricingCatalog(catalog)
+};
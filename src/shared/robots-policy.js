@@ -0,0 +1,307 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: ROBOTS.TXT CRAWL POLICY
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Fetches and caches robots.txt per host, evaluates allow/disallow rules for
+ * our configured user agent, and records every decision so compliance can see
+ * which URLs were skipped and why.
+ *
+ * EVALUATION (RFC 9309):
+ * - The group for our product token wins over the `*` group. The token is the
+ *   user agent up to its first `/` or space, matched exactly, ignoring case
+ * - The longest matching rule wins; `Allow` wins a tie
+ * - `*` wildcards and a trailing `$` anchor are supported
+ * - 4xx robots.txt → everything allowed
+ * - 5xx / unreachable robots.txt → everything disallowed (configurable)
+ *
+ * Crawl-delay is applied to a HostScheduler when one is configured. Without
+ * one the delay cannot be enforced: each host that asks for one emits
+ * `crawl-delay-ignored`, and the first also logs a warning. A URL that
+ * cannot be parsed is refused. The audit log keeps the newest
+ * `maxAuditEntries` decisions; listen for `blocked` to keep every refusal.
+ */
+
+const axios = require('axios');
+const { EventEmitter } = require('events');
+
+/**
+ * robots.txt evaluator shared by all executors
+ *
+ * @example
+ * const robots = new RobotsPolicy({ userAgent: 'AcmePriceBot', scheduler });
+ * const executor = new HttpExecutor({ robots, scheduler });
+ *
+ * const result = await executor.fetch('https://example.com/cart');
+ * if (result.outcome === 'blocked_by_policy') console.log(result.policy.reason);
+ *
+ * console.log(robots.getAuditLog({ blockedOnly: true }));
+ */
+class RobotsPolicy extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      // Product token matched against robots.txt User-agent lines
+      userAgent: config.userAgent || process.env.ROBOTS_USER_AGENT || 'WebExecutionLayer',
+      cacheTtl: config.cacheTtl || 24 * 60 * 60 * 1000,
+      timeout: config.timeout || 10000,
+      // 'disallow' (RFC 9309) or 'allow' when robots.txt cannot be fetched
+      onUnreachable: config.onUnreachable || 'disallow',
+      scheduler: config.scheduler || null,
+      fetcher: config.fetcher || null,
+      // Oldest audit records are dropped past this many
+      maxAuditEntries: config.maxAuditEntries || 10000
+    };
+
+    this.cache = new Map();
+    this.auditLog = [];
+    this.crawlDelayWarned = false;
+  }
+
+  /**
+   * Decide whether a URL may be fetched
+   *
+   * @returns {Promise<Object>} { url, allowed, reason, rule, crawlDelay, robotsUrl }
+   */
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return this.audit({
+        url,
+        allowed: false,
+        reason: `Invalid URL (${error.message})`,
+        rule: null,
+        crawlDelay: null,
+        robotsUrl: null,
+        userAgent: this.config.userAgent,
+        checkedAt: new Date()
+      });
+    }
+    const robotsUrl = `${parsed.origin}/robots.txt`;
+    const entry = await this.getRobots(parsed.origin);
+
+    let decision;
+    if (parsed.pathname === '/robots.txt') {
+      decision = { allowed: true, reason: 'robots.txt is always allowed', rule: null };
+    } else if (entry.unreachable) {
+      const allowed = this.config.onUnreachable === 'allow';
+      decision = { allowed, reason: `robots.txt unreachable (${entry.error})`, rule: null };
+    } else {
+      decision = this.evaluate(entry.groups, parsed.pathname + parsed.search);
+    }
+
+    const group = entry.groups ? this.selectGroup(entry.groups) : null;
+    const record = {
+      url,
+      ...decision,
+      crawlDelay: group?.crawlDelay ?? null,
+      robotsUrl,
+      userAgent: this.config.userAgent,
+      checkedAt: new Date()
+    };
+
+    return this.audit(record);
+  }
+
+  /**
+   * Pre-load robots.txt content for an origin (useful in tests and replays)
+   */
+  setRobots(origin, text) {
+    this.cache.set(origin, Promise.resolve(this.buildEntry(origin, text)));
+  }
+
+  /**
+   * Get audit records, newest last
+   */
+  getAuditLog(options = {}) {
+    return options.blockedOnly ? this.auditLog.filter(r => !r.allowed) : [...this.auditLog];
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Private Methods
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  audit(record) {
+    this.auditLog.push(record);
+    if (this.auditLog.length > this.config.maxAuditEntries) {
+      this.auditLog.splice(0, this.auditLog.length - this.config.maxAuditEntries);
+    }
+    if (!record.allowed) this.emit('blocked', record);
+
+    return record;
+  }
+
+  getRobots(origin) {
+    const cached = this.cache.get(origin);
+    if (cached) {
+      return cached.then(entry => {
+        if (Date.now() - entry.fetchedAt < this.config.cacheTtl) return entry;
+        this.cache.delete(origin);
+        return this.getRobots(origin);
+      });
+    }
+
+    const pending = this.fetchRobots(origin);
+    this.cache.set(origin, pending);
+    return pending;
+  }
+
+  async fetchRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+
+    try {
+      const response = this.config.fetcher
+        ? await this.config.fetcher(robotsUrl)
+        : await axios.get(robotsUrl, {
+          timeout: this.config.timeout,
+          responseType: 'text',
+          validateStatus: () => true,
+          headers: { 'User-Agent': this.config.userAgent }
+        });
+
+      if (response.status >= 500) {
+        return { origin, unreachable: true, error: `HTTP ${response.status}`, fetchedAt: Date.now() };
+      }
+      if (response.status >= 400) {
+        return this.buildEntry(origin, '');
+      }
+      return this.buildEntry(origin, typeof response.data === 'string' ? response.data : '');
+
+    } catch (error) {
+      return { origin, unreachable: true, error: error.message, fetchedAt: Date.now() };
+    }
+  }
+
+  buildEntry(origin, text) {
+    const entry = { origin, groups: this.parse(text), fetchedAt: Date.now() };
+
+    const group = this.selectGroup(entry.groups);
+    if (group?.crawlDelay && this.config.scheduler) {
+      this.config.scheduler.setHostPolicy(new URL(origin).hostname, {
+        crawlDelay: group.crawlDelay * 1000
+      });
+    } else if (group?.crawlDelay) {
+      this.warnCrawlDelayIgnored(origin, group.crawlDelay);
+    }
+
+    return entry;
+  }
+
+  warnCrawlDelayIgnored(origin, crawlDelay) {
+    this.emit('crawl-delay-ignored', { origin, crawlDelay });
+    if (this.crawlDelayWarned) return;
+    this.crawlDelayWarned = true;
+    console.warn(`RobotsPolicy: ${origin} asks for a ${crawlDelay}s Crawl-delay, but no scheduler is configured to enforce it`);
+  }
+
+  parse(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if ((field === 'allow' || field === 'disallow') && value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay)) current.crawlDelay = delay;
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Merge every group addressed to our product token, falling back to `*`
+   */
+  selectGroup(groups) {
+    const token = productToken(this.config.userAgent);
+    const specific = groups.filter(g => g.agents.some(a => a !== '*' && a !== '' && productToken(a) === token));
+    const matching = specific.length > 0 ? specific : groups.filter(g => g.agents.includes('*'));
+    if (matching.length === 0) return null;
+
+    return {
+      agents: matching.flatMap(g => g.agents),
+      rules: matching.flatMap(g => g.rules),
+      crawlDelay: matching.find(g => g.crawlDelay !== null)?.crawlDelay ?? null
+    };
+  }
+
+  evaluate(groups, path) {
+    const group = this.selectGroup(groups);
+    if (!group) {
+      return { allowed: true, reason: 'No rules for this user agent', rule: null };
+    }
+
+    let best = null;
+    for (const rule of group.rules) {
+      if (!this.matchesRule(rule.path, path)) continue;
+      if (!best ||
+          rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    if (!best) {
+      return { allowed: true, reason: 'No matching rule', rule: null };
+    }
+
+    const rule = `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}`;
+    return {
+      allowed: best.allow,
+      reason: best.allow ? `Allowed by ${rule}` : `Disallowed by ${rule}`,
+      rule
+    };
+  }
+
+  matchesRule(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+  }
+}
+
+/**
+ * `AcmePriceBot/1.0 (+https://acme.example)` → `acmepricebot`
+ */
+function productToken(userAgent) {
+  return String(userAgent).trim().split(/[/\s]/)[0].toLowerCase();
+}
+
+module.exports = {
+  RobotsPolicy,
+  createRobotsPolicy: (config) => new RobotsPolicy(config)
+};
@@ -0,0 +1,182 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SHARED: SOFT-BLOCK CLASSIFIER
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Not every block is a 403. Many sites answer 200 with a page that is not the
+ * content we asked for - and those pages end up in the data as "successful":
+ *
+ * - consent: Cookie-consent interstitial in place of the page
+ * - login:   Login wall ("sign in to continue", redirect to /login)
+ * - region:  Geo block ("not available in your country", HTTP 451)
+ * - paywall: Subscriber-only content
+ *
+ * Each state says what could get past it:
+ *
+ * - escalate:   A browser can click through it (consent)
+ * - change-geo: Another exit country might (region)
+ * - none:       Needs credentials or a subscription (login, paywall)
+ *
+ * Consent banners, "sign in" links, subscription promos and shipping notes on
+ * top of real content are not blocks: on a page with plenty of text, consent
+ * is ignored and the other states count half - unless decisive evidence says
+ * otherwise: a redirect to the wall, an HTTP 451, or a page that declares
+ * itself not free to access.
+ */
+
+// type → evidence; weights combine as independent evidence (1 - Π(1 - w))
+// `fullPage` scales confidence when the page has plenty of other text and
+// nothing decisive (finalUrl, status, or evidence marked `decisive`) was found
+const SOFT_BLOCK_RULES = {
+  consent: {
+    remedy: 'escalate',
+    fullPage: 0,
+    text: [
+      { pattern: /before you continue to/, weight: 0.5 },
+      { pattern: /we value your privacy|your privacy choices|manage (cookie|consent) preferences/, weight: 0.3 },
+      { pattern: /accept all cookies|accept all|reject all|agree and (continue|proceed)/, weight: 0.3 },
+      { pattern: /this (site|website) uses cookies/, weight: 0.2 }
+    ],
+    html: [
+      { pattern: /id=["'](onetrust-consent-sdk|onetrust-banner-sdk|CybotCookiebotDialog|didomi-host|truste-consent-track|qc-cmp2-container|usercentrics-root|sp_message_container)/i, weight: 0.4 }
+    ],
+    finalUrl: [
+      { pattern: /(^|\.)consent\.(google|youtube|yahoo)\.|\/consent(\/|\?|$)|guce\.|\/cookie-?wall/i, weight: 0.8 }
+    ]
+  },
+  login: {
+    remedy: 'none',
+    fullPage: 0.5,
+    text: [
+      { pattern: /(sign|log) ?in to (continue|view|see|access)/, weight: 0.6 },
+      { pattern: /(you must|you need to|please) (be )?(sign|log)(ged)? ?in/, weight: 0.6 },
+      { pattern: /login required|members only|create an account to (continue|view)/, weight: 0.5 },
+      { pattern: /forgot (your )?password/, weight: 0.2 }
+    ],
+    html: [
+      { pattern: /<input[^>]+type=["']password["']/i, weight: 0.3 }
+    ],
+    finalUrl: [
+      { pattern: /\/(login|log-in|signin|sign-in|sign_in|auth|sso|account\/login)(\/|\?|$)/i, weight: 0.6 }
+    ]
+  },
+  region: {
+    remedy: 'change-geo',
+    fullPage: 0.5,
+    text: [
+      { pattern: /not (available|accessible) in your (country|region|location|area)/, weight: 0.8 },
+      { pattern: /unavailable (in|from) your (country|region|location)|not available from your (country|region|location)/, weight: 0.8 },
+      { pattern: /(geo-?restricted|geo-?blocked|region (restricted|blocked))/, weight: 0.6 },
+      { pattern: /(we|this service) (do|does) not (currently )?(operate|serve|ship) (in|to) your (country|region)/, weight: 0.6 }
+    ],
+    status: [{ codes: [451], weight: 0.9 }]
+  },
+  paywall: {
+    remedy: 'none',
+    fullPage: 0.5,
+    text: [
+      { pattern: /subscribe (now )?to (continue|keep) reading|subscribe to read/, weight: 0.6 },
+      { pattern: /(this (article|story|content) is )?(only )?(available )?(exclusively )?for (paying )?subscribers/, weight: 0.5 },
+      { pattern: /you('ve| have) (reached|used) your (free )?(article|monthly|story) limit/, weight: 0.7 },
+      // Subscription promos sit on free articles too: not enough on their own
+      { pattern: /already a subscriber\?/, weight: 0.2 }
+    ],
+    html: [
+      { pattern: /"isAccessibleForFree"\s*:\s*"?false"?/i, weight: 0.5, decisive: true },
+      { pattern: /class=["'][^"']*\bpaywall\b/i, weight: 0.2 }
+    ]
+  }
+};
+
+// Visible text beyond this means the page has real content
+const FULL_PAGE_TEXT = 1500;
+
+/**
+ * Classify a page that loaded fine but may not be the content
+ *
+ * @param {Object} page - { html, status, url, finalUrl }
+ * @param {Object} options - { threshold } confidence a state needs (default 0.5)
+ * @returns {Object} { detected, type, confidence, remedy, states: [{ type, confidence, remedy, evidence }] }
+ *
+ * @example
+ * const softBlock = classifySoftBlock({ html, status: 200, url, finalUrl });
+ * if (softBlock.detected && softBlock.remedy === 'none') {
+ *   console.log(`Skipping: ${softBlock.type} wall`);
+ * }
+ */
+function classifySoftBlock({ html = '', status, url, finalUrl } = {}, options = {}) {
+  const threshold = options.threshold || 0.5;
+  const text = extractText(html);
+  // A redirect only counts as evidence if we did not ask for that page
+  const redirected = finalUrl && finalUrl !== url ? finalUrl : null;
+
+  const states = [];
+  for (const [type, rule] of Object.entries(SOFT_BLOCK_RULES)) {
+    const evidence = [];
+    let remaining = 1;
+    let decisive = false;
+    const add = (weight, description, isDecisive = false) => {
+      remaining *= 1 - weight;
+      evidence.push(description);
+      decisive = decisive || isDecisive;
+    };
+
+    for (const { pattern, weight } of rule.text || []) {
+      const found = text.match(pattern);
+      if (found) add(weight, `text "${found[0]}"`);
+    }
+    for (const { pattern, weight, decisive: isDecisive } of rule.html || []) {
+      const found = html.match(pattern);
+      if (found) add(weight, `markup ${found[0].slice(0, 60)}`, isDecisive);
+    }
+    for (const { pattern, weight } of rule.finalUrl || []) {
+      if (redirected && pattern.test(redirected) && !pattern.test(url || '')) {
+        add(weight, `redirected to ${redirected}`, true);
+      }
+    }
+    for (const { codes, weight } of rule.status || []) {
+      if (codes.includes(status)) add(weight, `HTTP ${status}`, true);
+    }
+
+    let confidence = 1 - remaining;
+    if (rule.fullPage !== undefined && text.length > FULL_PAGE_TEXT && !decisive) {
+      confidence *= rule.fullPage;
+    }
+
+    if (confidence > 0) {
+      states.push({
+        type,
+        confidence: Math.round(confidence * 100) / 100,
+        remedy: rule.remedy,
+        evidence
+      });
+    }
+  }
+
+  states.sort((a, b) => b.confidence - a.confidence);
+  const primary = states[0] && states[0].confidence >= threshold ? states[0] : null;
+
+  return {
+    detected: !!primary,
+    type: primary ? primary.type : null,
+    confidence: primary ? primary.confidence : 0,
+    remedy: primary ? primary.remedy : null,
+    states
+  };
+}
+
+// Visible text, lowercased, with scripts and styles removed
+function extractText(html) {
+  return html
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+module.exports = {
+  classifySoftBlock,
+  SOFT_BLOCK_RULES
+};
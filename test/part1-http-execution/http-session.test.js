@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { CookieJar } = require('../../src/part1-http-execution/http-session');
+const { HttpExecutor } = require('../../src/part1-http-execution');
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('a Domain cookie is sent to the domain and its subdomains', () => {
+  const jar = new CookieJar();
+  jar.setCookie('https://www.shop.example.com/', 'sid=1; Domain=.shop.example.com');
+
+  assert.strictEqual(jar.getCookieHeader('https://shop.example.com/'), 'sid=1');
+  assert.strictEqual(jar.getCookieHeader('https://cdn.shop.example.com/'), 'sid=1');
+  assert.strictEqual(jar.getCookieHeader('https://example.com/'), '');
+});
+
+test('a Domain that does not domain-match the host is ignored', () => {
+  const jar = new CookieJar();
+  jar.setCookie('https://shop.example.com/', 'sid=1; Domain=bank.example.org');
+  jar.setCookie('https://shop.example.com/', 'other=1; Domain=cdn.shop.example.com');
+  jar.setCookie('https://notexample.com/', 'tail=1; Domain=example.com');
+
+  assert.deepStrictEqual(jar.getCookies(), []);
+});
+
+test('a Domain naming a public suffix is refused unless it is the host', () => {
+  const jar = new CookieJar();
+  jar.setCookie('https://shop.co.uk/', 'a=1; Domain=co.uk');
+  jar.setCookie('https://shop.example.com/', 'b=1; Domain=com');
+  jar.setCookie('https://user.github.io/', 'c=1; Domain=github.io');
+  assert.deepStrictEqual(jar.getCookies(), []);
+
+  jar.setCookie('https://github.io/', 'd=1; Domain=github.io');
+  assert.strictEqual(jar.getCookieHeader('https://github.io/'), 'd=1');
+  assert.strictEqual(jar.getCookieHeader('https://user.github.io/'), '');
+});
+
+test('IP hosts only accept their own address as Domain', () => {
+  const jar = new CookieJar();
+  jar.setCookie('http://10.0.0.1/', 'a=1; Domain=0.0.1');
+  jar.setCookie('http://10.0.0.1/', 'b=1; Domain=10.0.0.1');
+  assert.strictEqual(jar.getCookieHeader('http://10.0.0.1/'), 'b=1');
+});
+
+test('path, secure and expiry are honoured', () => {
+  const jar = new CookieJar();
+  jar.setCookie('https://a.com/account/login', 'sid=1; Path=/account; Secure');
+  jar.setCookie('https://a.com/', 'gone=1; Max-Age=0');
+
+  assert.strictEqual(jar.getCookieHeader('https://a.com/account/orders'), 'sid=1');
+  assert.strictEqual(jar.getCookieHeader('http://a.com/account/orders'), '');
+  assert.strictEqual(jar.getCookieHeader('https://a.com/accounts'), '');
+});
+
+test('cookies set on redirect hops reach the next hop and the session', async (t) => {
+  let seenCookie = null;
+  const server = await listen((req, res) => {
+    if (req.url === '/login') {
+      res.writeHead(302, { location: '/account', 'set-cookie': 'sid=abc; Path=/' });
+      res.end();
+      return;
+    }
+    seenCookie = req.headers.cookie || null;
+    res.setHeader('content-type', 'text/html');
+    res.end(`<html><body>${'<p>Your orders</p>'.repeat(50)}</body></html>`);
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const executor = new HttpExecutor({ headerProfiles: false });
+  executor.isProxyConfigured = () => false;
+  const session = executor.session();
+  const result = await session.fetch(`${base}/login`);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(seenCookie, 'sid=abc');
+  assert.strictEqual(session.cookieJar.getCookieHeader(`${base}/account`), 'sid=abc');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeRequestBody, isTextBody } = require('../../src/part1-http-execution/request-body');
+const { HttpExecutor } = require('../../src/part1-http-execution');
+
+test('isTextBody() accepts UTF-8 and rejects binary data', () => {
+  assert.strictEqual(isTextBody(Buffer.from('prix: 12 €')), true);
+  assert.strictEqual(isTextBody(Buffer.from([0xff, 0xfe, 0x00, 0x80])), false);
+});
+
+test('multipart bodies with a binary file are not text', () => {
+  const text = encodeRequestBody({ multipart: { q: 'héllo' } });
+  const binary = encodeRequestBody({ multipart: { file: { value: Buffer.from([0xff, 0x00]), filename: 'a.bin' } } });
+  assert.strictEqual(isTextBody(text.data), true);
+  assert.strictEqual(isTextBody(binary.data), false);
+});
+
+test('API mode refuses binary bodies and sends text ones as strings', async () => {
+  const executor = new HttpExecutor({ mode: 'api', apiToken: 'token' });
+  let sent = null;
+  executor.sendRequest = async (url, config) => {
+    sent = config;
+    return { status: 200, headers: {}, data: 'ok', finalUrl: url };
+  };
+
+  await assert.rejects(
+    executor.fetch('https://a.com/upload', { multipart: { file: { value: Buffer.from([0xff, 0x00]), filename: 'a.bin' } } }),
+    /only send text request bodies/
+  );
+  assert.strictEqual(sent, null);
+
+  await executor.fetch('https://a.com/search', { json: { q: 'ü' } });
+  assert.strictEqual(sent.data.body, '{"q":"ü"}');
+});
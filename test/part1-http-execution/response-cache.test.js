@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ResponseCache } = require('../../src/part1-http-execution/response-cache');
+const { HttpExecutor, HttpSession } = require('../../src/part1-http-execution');
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function createExecutor() {
+  const executor = new HttpExecutor({ headerProfiles: false, cache: new ResponseCache({ defaultTtl: 600 }) });
+  executor.isProxyConfigured = () => false;
+  return executor;
+}
+
+const page = `<html><body><h1>Prices</h1>${'<p>Widget $10</p>'.repeat(100)}</body></html>`;
+
+test('put() skips private and no-store responses', async () => {
+  const cache = new ResponseCache({ defaultTtl: 600 });
+  const response = (cacheControl) => ({ status: 200, headers: { 'cache-control': cacheControl }, data: 'x' });
+
+  assert.strictEqual(await cache.put('a', response('private, max-age=60')), false);
+  assert.strictEqual(await cache.put('b', response('no-store')), false);
+  assert.strictEqual(await cache.put('c', response('public, max-age=60')), true);
+});
+
+test('session requests bypass the cache', () => {
+  const cache = new ResponseCache();
+  assert.strictEqual(cache.isCacheable({}), true);
+  assert.strictEqual(cache.isCacheable({ session: new HttpSession() }), false);
+});
+
+test('HttpExecutor serves a second fetch of a good page from the cache', async (t) => {
+  let requests = 0;
+  const server = await listen((req, res) => {
+    requests++;
+    res.setHeader('content-type', 'text/html');
+    res.end(page);
+  });
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/p`;
+  const executor = createExecutor();
+
+  await executor.fetch(url);
+  const second = await executor.fetch(url);
+  assert.strictEqual(second.cacheStatus, 'hit');
+  assert.strictEqual(requests, 1);
+});
+
+test('HttpExecutor does not cache soft-blocked pages', async (t) => {
+  let requests = 0;
+  const server = await listen((req, res) => {
+    requests++;
+    res.setHeader('content-type', 'text/html');
+    res.end(requests === 1
+      ? '<html><body><h1>Sign in to continue</h1><form action="/login"><input type="password"></form></body></html>'
+      : page);
+  });
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/p`;
+  const executor = createExecutor();
+
+  const first = await executor.fetch(url);
+  assert.ok(first.softBlock?.detected);
+  const second = await executor.fetch(url);
+  assert.strictEqual(second.cacheStatus, 'miss');
+  assert.strictEqual(second.body, page);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { RetryPolicy } = require('../../src/part1-http-execution/retry-policy');
+const { CassetteMissError } = require('../../src/shared/cassette');
+const { BudgetExceededError } = require('../../src/shared/budget');
+const { HttpExecutor } = require('../../src/part1-http-execution');
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('classify() maps statuses and challenge pages to actions', () => {
+  const policy = new RetryPolicy();
+  const action = (status, data = '') => policy.classify({ status, headers: {}, data }).action;
+
+  assert.strictEqual(action(200), 'success');
+  assert.strictEqual(action(304), 'success');
+  assert.strictEqual(action(429), 'retry');
+  assert.strictEqual(action(503), 'retry');
+  assert.strictEqual(action(403), 'escalate');
+  assert.strictEqual(action(503, '<h1>Please complete the CAPTCHA</h1>'), 'escalate');
+  assert.strictEqual(action(404), 'fail');
+});
+
+test('classifyError() retries only known network errors', () => {
+  const policy = new RetryPolicy();
+  const networkError = code => Object.assign(new Error(code), { code });
+
+  for (const code of ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN']) {
+    assert.strictEqual(policy.classifyError(networkError(code)).action, 'retry', code);
+  }
+  assert.strictEqual(policy.classifyError(new TypeError('x is not a function')).action, 'fail');
+  assert.strictEqual(policy.classifyError(new ReferenceError('y is not defined')).action, 'fail');
+  assert.strictEqual(policy.classifyError(networkError('ENOTFOUND')).action, 'fail');
+  assert.strictEqual(policy.classifyError(new CassetteMissError('GET https://a.com/')).action, 'fail');
+  assert.strictEqual(policy.classifyError(new BudgetExceededError({ reason: 'run' })).action, 'fail');
+  assert.strictEqual(
+    policy.classifyError(Object.assign(new Error('502'), { response: { status: 502, headers: {}, data: '' } })).action,
+    'retry'
+  );
+});
+
+test('Retry-After sets the delay on 429 and 503 only', () => {
+  const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 100, maxRetryAfter: 60000 });
+  const headers = { 'retry-after': '7' };
+
+  assert.strictEqual(policy.getDelay(0, headers, 429), 7000);
+  assert.strictEqual(policy.getDelay(0, headers, 503), 7000);
+  assert.ok(policy.getDelay(0, headers, 500) < 100);
+  assert.ok(policy.getDelay(0, headers) < 100);
+});
+
+test('Retry-After is capped and accepts HTTP dates', () => {
+  const policy = new RetryPolicy({ maxRetryAfter: 5000 });
+  assert.strictEqual(policy.getDelay(0, { 'retry-after': '3600' }, 429), 5000);
+
+  const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+  const delay = policy.getDelay(0, { 'retry-after': inTwoSeconds }, 503);
+  assert.ok(delay > 0 && delay <= 2000, `delay ${delay}`);
+});
+
+test('backoff grows exponentially up to maxDelay', () => {
+  const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 400 });
+  const random = Math.random;
+  Math.random = () => 0.999;
+  try {
+    assert.deepStrictEqual([0, 1, 2, 3, 4].map(attempt => policy.getDelay(attempt)), [99, 199, 399, 399, 399]);
+  } finally {
+    Math.random = random;
+  }
+});
+
+test('HttpExecutor retries a 503 and reports each attempt', async (t) => {
+  let requests = 0;
+  const server = await listen((req, res) => {
+    requests++;
+    if (requests === 1) {
+      res.writeHead(503, { 'retry-after': '0' });
+      res.end('busy');
+      return;
+    }
+    res.setHeader('content-type', 'text/html');
+    res.end(`<html><body>${'<p>ok</p>'.repeat(100)}</body></html>`);
+  });
+  t.after(() => server.close());
+
+  const executor = new HttpExecutor({ headerProfiles: false, retryPolicy: { baseDelay: 10, maxRetries: 2 } });
+  executor.isProxyConfigured = () => false;
+  const result = await executor.fetch(`http://127.0.0.1:${server.address().port}/`);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.attempts.map(a => a.action), ['retry', 'success']);
+  assert.strictEqual(result.attempts[0].delay, 0);
+});
+
+test('HttpExecutor does not retry a programming error', async () => {
+  const executor = new HttpExecutor({ headerProfiles: false, retryPolicy: { baseDelay: 10, maxRetries: 3 } });
+  executor.isProxyConfigured = () => false;
+  let calls = 0;
+  executor.sendRequest = async () => {
+    calls++;
+    throw new TypeError('Cannot read properties of undefined');
+  };
+
+  const result = await executor.fetch('http://127.0.0.1:9/');
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(calls, 1);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RobotsPolicy } = require('../../src/shared/robots-policy');
+const { MCPClient, AIAgent } = require('../../src/part3-mcp-execution');
+
+function createAgent() {
+  const mcp = new MCPClient();
+  // Simulated tool calls take a tick, so concurrent tasks interleave
+  mcp.delay = () => new Promise(resolve => setImmediate(resolve));
+  const robots = new RobotsPolicy();
+  robots.setRobots('https://a.com', 'User-agent: *\nDisallow: /private');
+  robots.setRobots('https://b.com', 'User-agent: *\nDisallow: /secret');
+  return new AIAgent({ mcpClient: mcp, robots, verbose: false });
+}
+
+function priceTask(urls) {
+  return { type: 'price-monitoring', parameters: { urls, geos: ['us'] } };
+}
+
+test('concurrent tasks keep their own skipped URLs', async () => {
+  const agent = createAgent();
+
+  const [first, second] = await Promise.all([
+    agent.executeResearch(priceTask(['https://a.com/private', 'https://a.com/p1', 'https://a.com/p2'])),
+    agent.executeResearch(priceTask(['https://b.com/p1', 'https://b.com/secret']))
+  ]);
+
+  assert.deepStrictEqual(first.skipped.map(s => s.url), ['https://a.com/private']);
+  assert.deepStrictEqual(second.skipped.map(s => s.url), ['https://b.com/secret']);
+});
+
+test('cancelling one task leaves a concurrent one running', async () => {
+  const agent = createAgent();
+  const controller = new AbortController();
+
+  const cancelled = agent.executeResearch(priceTask(['https://a.com/p1', 'https://a.com/p2']), { signal: controller.signal });
+  const running = agent.executeResearch(priceTask(['https://b.com/p1', 'https://b.com/p2']));
+  controller.abort();
+
+  assert.strictEqual((await cancelled).outcome, 'cancelled');
+  const result = await running;
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(Object.keys(result.findings).length, 2);
+});
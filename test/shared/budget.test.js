@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Budget, BudgetExceededError } = require('../../src/shared/budget');
+const { MCPClient } = require('../../src/part3-mcp-execution');
+
+test('reserve() holds the estimate against the hard cap until released', () => {
+  const budget = new Budget({ run: { hard: 1 } });
+
+  const release = budget.reserve({ url: 'https://a.com/', level: 'http', estimatedCost: 0.6 });
+  assert.strictEqual(budget.getStatus().run.reserved, 0.6);
+  assert.throws(
+    () => budget.reserve({ url: 'https://a.com/', level: 'http', estimatedCost: 0.6 }),
+    BudgetExceededError
+  );
+
+  release();
+  assert.strictEqual(budget.getStatus().run.reserved, 0);
+  budget.reserve({ url: 'https://a.com/', level: 'http', estimatedCost: 0.6 })();
+});
+
+test('release functions are idempotent', () => {
+  const budget = new Budget({ run: { hard: 1 } });
+  const first = budget.reserve({ level: 'http', estimatedCost: 0.4 });
+  const second = budget.reserve({ level: 'http', estimatedCost: 0.4 });
+
+  first();
+  first();
+  assert.strictEqual(budget.getStatus().run.reserved, 0.4);
+  second();
+  assert.strictEqual(budget.getStatus().run.reserved, 0);
+});
+
+test('a refused reservation holds nothing', () => {
+  const budget = new Budget({ run: { hard: 0.5 } });
+  assert.throws(() => budget.reserve({ level: 'http', estimatedCost: 0.6 }), BudgetExceededError);
+  assert.strictEqual(budget.getStatus().run.reserved, 0);
+});
+
+test('reset() keeps reservations of executions in flight', () => {
+  const budget = new Budget({ run: { hard: 1 } });
+  const release = budget.reserve({ level: 'http', estimatedCost: 0.3 });
+  budget.record({ level: 'http', cost: 0.2 });
+
+  budget.reset();
+  assert.strictEqual(budget.getStatus().run.spent, 0);
+  assert.strictEqual(budget.getStatus().run.reserved, 0.3);
+  release();
+  assert.strictEqual(budget.getStatus().run.reserved, 0);
+});
+
+test('MCPClient tool calls release their reservation', async () => {
+  const budget = new Budget({ run: { hard: 10 } });
+  const mcp = new MCPClient({ budget });
+  mcp.delay = async () => {};
+
+  await mcp.webNavigate({ url: 'https://a.com/', steps: [{ action: 'click' }] });
+  await mcp.webScrape({ url: 'https://a.com/p' });
+  await mcp.webSearch({ query: 'prices' });
+
+  const { spent, reserved } = budget.getStatus().run;
+  assert.ok(spent > 0);
+  assert.strictEqual(reserved, 0);
+});
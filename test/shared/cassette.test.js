@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Cassette, CassetteMissError } = require('../../src/shared/cassette');
+const { Budget } = require('../../src/shared/budget');
+const { HttpExecutor } = require('../../src/part1-http-execution');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+}
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('replay serves exchanges in recorded order and repeats the last one', async () => {
+  const dir = tempDir();
+  const recorder = new Cassette({ name: 'order', dir, mode: 'record' });
+  const request = { executor: 'http', method: 'GET', url: 'https://a.com/' };
+  await recorder.record(request, { status: 503 });
+  await recorder.record(request, { status: 200 });
+
+  const player = new Cassette({ name: 'order', dir, mode: 'replay' });
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await player.replay(request)).response.status);
+  assert.deepStrictEqual(statuses, [503, 200, 200]);
+
+  player.rewind();
+  assert.strictEqual((await player.replay(request)).response.status, 503);
+  await assert.rejects(player.replay({ ...request, url: 'https://b.com/' }), CassetteMissError);
+});
+
+test('a failed save rejects its record() but not later ones', async () => {
+  const dir = tempDir();
+  const cassette = new Cassette({ name: 'flaky', dir, mode: 'record' });
+  const request = { executor: 'http', method: 'GET', url: 'https://a.com/' };
+
+  const writeFile = fs.promises.writeFile;
+  fs.promises.writeFile = async () => { throw new Error('disk full'); };
+  try {
+    await assert.rejects(cassette.record(request, { status: 200 }), /disk full/);
+  } finally {
+    fs.promises.writeFile = writeFile;
+  }
+
+  await cassette.record(request, { status: 201 });
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'flaky.json'), 'utf8'));
+  assert.strictEqual(saved.entries.length, 2);
+});
+
+test('HttpExecutor replays a recorded page offline without billing it', async () => {
+  const dir = tempDir();
+  const server = await listen((req, res) => {
+    res.setHeader('content-type', 'text/html');
+    res.end(`<html><body>${'price '.repeat(500)}</body></html>`);
+  });
+  const url = `http://127.0.0.1:${server.address().port}/p`;
+
+  const recorder = new HttpExecutor({ headerProfiles: false, cassette: { name: 'page', dir, mode: 'record' } });
+  recorder.isProxyConfigured = () => false;
+  const live = await recorder.fetch(url);
+  await new Promise(resolve => server.close(resolve));
+
+  const budget = new Budget({ run: { hard: 0.0001 } });
+  const player = new HttpExecutor({ budget, cassette: { name: 'page', dir, mode: 'replay' } });
+  const replayed = await player.fetch(url);
+
+  assert.strictEqual(replayed.success, true);
+  assert.strictEqual(replayed.replayed, true);
+  assert.strictEqual(replayed.body, live.body);
+  assert.ok(replayed.cost.totalCost > 0);
+  assert.strictEqual(player.costTracker.records.length, 0);
+  assert.deepStrictEqual(
+    [budget.getStatus().run.spent, budget.getStatus().run.reserved],
+    [0, 0]
+  );
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DomainProfileStore } = require('../../src/shared/domain-profiles');
+const { CircuitBreaker } = require('../../src/shared/circuit-breaker');
+const { EscalationHandler } = require('../../src/part1-http-execution');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+}
+
+// A path under a regular file can never be written
+function unwritableFile() {
+  const blocker = path.join(tempDir(), 'blocker');
+  fs.writeFileSync(blocker, '');
+  return path.join(blocker, 'profiles.json');
+}
+
+test('a failed save is reported by flush() and later saves still run', async () => {
+  const dir = tempDir();
+  const store = new DomainProfileStore({ file: path.join(dir, 'profiles.json') });
+  const errors = [];
+  store.on('save-error', ({ error }) => errors.push(error));
+
+  const writeFile = fs.promises.writeFile;
+  fs.promises.writeFile = async () => { throw Object.assign(new Error('disk full'), { code: 'ENOSPC' }); };
+  try {
+    await store.recordOutcome('https://a.com/', 'http', true);
+  } finally {
+    fs.promises.writeFile = writeFile;
+  }
+  assert.strictEqual(errors.length, 1);
+  await assert.rejects(store.flush(), /disk full/);
+
+  await store.recordOutcome('https://a.com/', 'http', true);
+  await store.flush();
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'profiles.json'), 'utf8'));
+  assert.strictEqual(Math.round(saved.profiles['a.com'].levels.http.successes), 2);
+});
+
+test('a corrupt profile file starts the store empty', async () => {
+  const file = path.join(tempDir(), 'profiles.json');
+  fs.writeFileSync(file, '{ not json');
+  const store = new DomainProfileStore({ file });
+  const errors = [];
+  store.on('load-error', ({ error }) => errors.push(error));
+
+  assert.strictEqual(await store.getProfile('https://a.com/'), null);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('an unwritable profile file changes neither the result nor the circuit', async () => {
+  const circuitBreaker = new CircuitBreaker();
+  const profiles = new DomainProfileStore({ file: unwritableFile() });
+  profiles.on('save-error', () => {});
+  const escalation = new EscalationHandler({ profiles, circuitBreaker, escalationDelay: 0 });
+
+  const result = await escalation.executeWithEscalation('https://a.com/', {
+    http: async () => ({ success: true, statusCode: 200 })
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.executionLevel, 'http');
+  assert.strictEqual(circuitBreaker.getState('https://a.com/'), 'closed');
+  assert.strictEqual(circuitBreaker.getStats()['a.com']?.lastFailure ?? null, null);
+  await assert.rejects(profiles.flush(), { code: 'EEXIST' });
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RobotsPolicy } = require('../../src/shared/robots-policy');
+
+const ORIGIN = 'https://a.com';
+
+function createPolicy(text, config = {}) {
+  const robots = new RobotsPolicy({ userAgent: 'AcmePriceBot/2.1 (+https://acme.example)', ...config });
+  robots.setRobots(ORIGIN, text);
+  return robots;
+}
+
+async function allowed(robots, path) {
+  return (await robots.check(`${ORIGIN}${path}`)).allowed;
+}
+
+test('the longest matching rule wins and Allow wins a tie', async () => {
+  const robots = createPolicy([
+    'User-agent: *',
+    'Disallow: /shop',
+    'Allow: /shop/public',
+    'Disallow: /tie',
+    'Allow: /tie'
+  ].join('\n'));
+
+  assert.strictEqual(await allowed(robots, '/shop/cart'), false);
+  assert.strictEqual(await allowed(robots, '/shop/public/list'), true);
+  assert.strictEqual(await allowed(robots, '/tie'), true);
+  assert.strictEqual(await allowed(robots, '/other'), true);
+});
+
+test('wildcards and the $ anchor', async () => {
+  const robots = createPolicy('User-agent: *\nDisallow: /*.pdf$\nDisallow: /search*q=');
+
+  assert.strictEqual(await allowed(robots, '/files/report.pdf'), false);
+  assert.strictEqual(await allowed(robots, '/files/report.pdf?x=1'), true);
+  assert.strictEqual(await allowed(robots, '/search?page=2&q=shoes'), false);
+});
+
+test('only an exact product token selects a group', async () => {
+  const robots = createPolicy([
+    'User-agent: Acme',
+    'Disallow: /acme',
+    '',
+    'User-agent: ACMEPRICEBOT',
+    'Disallow: /mine',
+    '',
+    'User-agent: *',
+    'Disallow: /star'
+  ].join('\n'));
+
+  assert.strictEqual(await allowed(robots, '/mine'), false);
+  assert.strictEqual(await allowed(robots, '/acme'), true);
+  assert.strictEqual(await allowed(robots, '/star'), true);
+});
+
+test('an empty User-agent line matches nobody', async () => {
+  const robots = createPolicy('User-agent:\nDisallow: /\n\nUser-agent: *\nDisallow: /star');
+
+  assert.strictEqual(await allowed(robots, '/page'), true);
+  assert.strictEqual(await allowed(robots, '/star'), false);
+});
+
+test('unreachable robots.txt disallows by default, 4xx allows', async () => {
+  const unreachable = new RobotsPolicy({ fetcher: async () => ({ status: 503, data: '' }) });
+  const missing = new RobotsPolicy({ fetcher: async () => ({ status: 404, data: '' }) });
+
+  assert.strictEqual((await unreachable.check('https://b.com/x')).allowed, false);
+  assert.strictEqual((await missing.check('https://b.com/x')).allowed, true);
+});
+
+test('an invalid URL is refused instead of throwing', async () => {
+  const robots = createPolicy('User-agent: *\nDisallow:');
+  const blocked = [];
+  robots.on('blocked', record => blocked.push(record));
+
+  const decision = await robots.check('not a url');
+  assert.strictEqual(decision.allowed, false);
+  assert.match(decision.reason, /Invalid URL/);
+  assert.strictEqual(blocked.length, 1);
+});
+
+test('the audit log keeps the newest maxAuditEntries decisions', async () => {
+  const robots = createPolicy('User-agent: *\nDisallow: /private', { maxAuditEntries: 2 });
+  for (const path of ['/a', '/b', '/private']) await robots.check(`${ORIGIN}${path}`);
+
+  assert.deepStrictEqual(robots.getAuditLog().map(r => r.url), [`${ORIGIN}/b`, `${ORIGIN}/private`]);
+  assert.strictEqual(robots.getAuditLog({ blockedOnly: true }).length, 1);
+});
+
+test('Crawl-delay goes to the scheduler, or is reported once without one', async () => {
+  const policies = [];
+  const scheduler = { setHostPolicy: (host, policy) => policies.push({ host, ...policy }) };
+  createPolicy('User-agent: *\nCrawl-delay: 2', { scheduler });
+  assert.deepStrictEqual(policies, [{ host: 'a.com', crawlDelay: 2000 }]);
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    const robots = new RobotsPolicy();
+    const ignored = [];
+    robots.on('crawl-delay-ignored', event => ignored.push(event.origin));
+    robots.setRobots('https://a.com', 'User-agent: *\nCrawl-delay: 2');
+    robots.setRobots('https://b.com', 'User-agent: *\nCrawl-delay: 5');
+
+    assert.deepStrictEqual(ignored, ['https://a.com', 'https://b.com']);
+    assert.strictEqual(warnings.length, 1);
+  } finally {
+    console.warn = warn;
+  }
+});